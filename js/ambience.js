@@ -0,0 +1,242 @@
+/**
+ * Era Ambience
+ * Looping background bed per era (crowd murmur, harpsichord, 60s radio...)
+ * that crossfades out when the wormhole opens and back in on arrival, and
+ * ducks under chimes, slideshow videos with sound and the wormhole whoosh.
+ *
+ * Each era opts in through its "audio" field in eras.json:
+ *   "audio": { "ambient": "audio/ambient/1969.mp3", "synth": "radio", "volume": 0.4 }
+ * If the file is missing or won't play, the "synth" preset from AudioSynth
+ * is used instead; with neither, the era stays silent.
+ */
+
+// Configuration
+const AMBIENCE_CONFIG = {
+    enabled: true,
+    masterVolume: 0.5,        // Overall bed level (0-1)
+    fadeSeconds: 2.5,         // Crossfade length between eras
+    duckLevel: 0.2,           // Bed level while something else is sounding
+    duckSeconds: 0.4,         // How fast ducking kicks in and releases
+    tickMs: 50                // Volume update interval
+};
+
+class AmbienceManager {
+    constructor() {
+        this.layers = [];           // [{ eraKey, source, isSynth, level, target, volume }]
+        this.duck = 1;
+        this.tickInterval = null;
+        this.lastTick = 0;
+        this.waitingForGesture = false;
+    }
+    
+    /**
+     * Crossfade to an era's bed
+     * @param {Object} era - Era config from the registry
+     */
+    play(era) {
+        if (!AMBIENCE_CONFIG.enabled) return;
+        
+        const current = this.layers.find(layer => layer.target > 0);
+        if (current && current.eraKey === era.key) return;
+        
+        this.fadeOut();
+        
+        const audio = this.getAudioConfig(era);
+        if (!audio) return;
+        
+        const layer = {
+            eraKey: era.key,
+            audio,
+            source: null,
+            isSynth: false,
+            level: 0,
+            target: 1,
+            volume: audio.volume
+        };
+        this.layers.push(layer);
+        
+        if (audio.ambient) {
+            this.startFile(layer);
+        } else {
+            this.startSynth(layer);
+        }
+        
+        this.startTicking();
+        console.log(`🎼 Ambience: ${era.display} (${audio.ambient || `synth ${audio.synth}`})`);
+    }
+    
+    /**
+     * Fade out whatever is playing
+     */
+    fadeOut() {
+        this.layers.forEach(layer => { layer.target = 0; });
+    }
+    
+    /**
+     * Normalize an era's "audio" field (a string is shorthand for the file)
+     * @returns {Object|null} { ambient, synth, volume }
+     */
+    getAudioConfig(era) {
+        const audio = typeof era.audio === 'string' ? { ambient: era.audio } : era.audio;
+        if (!audio || (!audio.ambient && !audio.synth)) return null;
+        
+        return {
+            ambient: audio.ambient || null,
+            synth: audio.synth || null,
+            volume: audio.volume !== undefined ? audio.volume : 1
+        };
+    }
+    
+    /**
+     * Start a looping file, falling back to the synth if it can't play
+     */
+    startFile(layer) {
+        const element = new Audio(layer.audio.ambient);
+        element.loop = true;
+        element.volume = 0;
+        layer.source = element;
+        
+        const fallBack = () => {
+            if (layer.source !== element) return;
+            element.pause();
+            console.log(`🎼 Ambient file ${layer.audio.ambient} unavailable${layer.audio.synth ? ', using synth' : ''}`);
+            this.startSynth(layer);
+        };
+        
+        element.addEventListener('error', fallBack, { once: true });
+        element.play().catch(err => {
+            if (err.name === 'NotAllowedError') {
+                this.retryAfterGesture();
+            } else {
+                fallBack();
+            }
+        });
+    }
+    
+    /**
+     * Start the synthesized bed for a layer, if it has one
+     */
+    startSynth(layer) {
+        layer.source = null;
+        layer.isSynth = false;
+        
+        if (!layer.audio.synth || typeof audioSynth === 'undefined') return;
+        
+        layer.source = audioSynth.playAmbient(layer.audio.synth);
+        layer.isSynth = true;
+        
+        // The context stays suspended until the first click or key
+        if (audioSynth.audioContext && audioSynth.audioContext.state === 'suspended') {
+            this.retryAfterGesture();
+        }
+    }
+    
+    /**
+     * Browsers block autoplay - pick up again on the first user gesture
+     */
+    retryAfterGesture() {
+        if (this.waitingForGesture) return;
+        this.waitingForGesture = true;
+        
+        const retry = () => {
+            document.removeEventListener('click', retry);
+            document.removeEventListener('keydown', retry);
+            this.waitingForGesture = false;
+            
+            audioSynth.resume();
+            this.layers
+                .filter(layer => !layer.isSynth && layer.source && layer.source.paused && layer.target > 0)
+                .forEach(layer => layer.source.play().catch(() => {}));
+        };
+        
+        document.addEventListener('click', retry);
+        document.addEventListener('keydown', retry);
+    }
+    
+    /**
+     * Whether something else is sounding that the bed should sit under
+     */
+    shouldDuck() {
+        if (chimesManager.isChiming || wormholeManager.isRunning()) return true;
+        
+        const video = slideshow.getActiveVideo();
+        return !!video && !video.paused && !video.muted && video.volume > 0;
+    }
+    
+    /**
+     * Run the volume loop while any layer is alive
+     */
+    startTicking() {
+        if (this.tickInterval) return;
+        
+        this.lastTick = Date.now();
+        this.tickInterval = setInterval(() => this.tick(), AMBIENCE_CONFIG.tickMs);
+    }
+    
+    /**
+     * Step fades and ducking, and apply volumes
+     */
+    tick() {
+        const now = Date.now();
+        const dt = (now - this.lastTick) / 1000;
+        this.lastTick = now;
+        
+        const duckTarget = this.shouldDuck() ? AMBIENCE_CONFIG.duckLevel : 1;
+        this.duck = this.approach(this.duck, duckTarget, dt / AMBIENCE_CONFIG.duckSeconds);
+        
+        for (const layer of this.layers) {
+            layer.level = this.approach(layer.level, layer.target, dt / AMBIENCE_CONFIG.fadeSeconds);
+            this.setVolume(layer, layer.level * layer.volume * this.duck * AMBIENCE_CONFIG.masterVolume);
+        }
+        
+        // Drop layers that have finished fading out
+        this.layers = this.layers.filter(layer => {
+            if (layer.target > 0 || layer.level > 0) return true;
+            this.stopSource(layer);
+            return false;
+        });
+        
+        if (this.layers.length === 0) {
+            clearInterval(this.tickInterval);
+            this.tickInterval = null;
+        }
+    }
+    
+    /**
+     * Move a value toward a target by at most step
+     */
+    approach(value, target, step) {
+        return value < target ? Math.min(target, value + step) : Math.max(target, value - step);
+    }
+    
+    /**
+     * Apply a volume to a file or synth source
+     */
+    setVolume(layer, volume) {
+        if (!layer.source) return;
+        
+        if (layer.isSynth) {
+            layer.source.setVolume(volume);
+        } else {
+            layer.source.volume = Math.max(0, Math.min(1, volume));
+        }
+    }
+    
+    /**
+     * Stop and release a layer's source
+     */
+    stopSource(layer) {
+        if (!layer.source) return;
+        
+        if (layer.isSynth) {
+            layer.source.stop();
+        } else {
+            layer.source.pause();
+            layer.source.removeAttribute('src');
+        }
+        layer.source = null;
+    }
+}
+
+// Global instance
+const ambience = new AmbienceManager();
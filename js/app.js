@@ -5,21 +5,30 @@
  * Institute for Applied History
  */
 
+// Built-in eras, used when eras.json is missing or unreadable
+const DEFAULT_ERAS = {
+    startKey: '1',
+    eras: [
+        { key: '1', year: '2025', era: 'CE', theme: 'cosmic', transition: 'crossfade' },
+        { key: '2', year: '1969', era: 'CE', theme: 'mission-control', transition: 'film-burn' },
+        { key: '3', year: '1751', era: 'CE', theme: 'parchment', transition: 'sepia' },
+        { key: '4', year: '423', era: 'BCE', theme: 'marble', transition: 'iris' },
+        { key: '5', year: '2026', era: 'CE', theme: 'cosmic', transition: 'holo-wipe' }
+    ]
+};
+
 class TimeMachine {
     constructor() {
-        // Year configuration
-        this.years = {
-            1: { year: '2025', era: 'CE', folder: '2025', display: '2025 CE' },
-            2: { year: '1969', era: 'CE', folder: '1969', display: '1969 CE' },
-            3: { year: '1751', era: 'CE', folder: '1751', display: '1751 CE' },
-            4: { year: '423', era: 'BCE', folder: '423bce', display: '423 BCE' },
-            5: { year: '2026', era: 'CE', folder: '2026', display: '2026 CE' }
-        };
+        // Year configuration - populated from eras.json, keyed by keyboard key
+        this.years = {};
         
-        this.currentYearKey = 1; // Start at 2025
+        this.currentYearKey = null; // Set from the registry's startKey
         this.manifest = {};
         this.facts = {};
         this.isInitialized = false;
+        this.stateListeners = [];
+        this.themeTimeout = null;
+        this.factsDate = null; // Home date the ticker's "on this day" facts were picked for
         
         // DOM elements
         this.yearValue = document.getElementById('year-value');
@@ -28,6 +37,8 @@ class TimeMachine {
         this.statusText = document.getElementById('status-text');
         this.clockContainer = document.getElementById('clock-container');
         this.clockTime = document.getElementById('clock-time');
+        this.temporalWarning = document.getElementById('temporal-warning');
+        this.worldClocks = document.getElementById('world-clocks');
     }
     
     /**
@@ -36,12 +47,21 @@ class TimeMachine {
     async init() {
         console.log('🚀 Initializing Temporal Navigation System v2.1...');
         
+        // Load era registry (everything else enumerates eras from it)
+        await this.loadEras();
+        
         // Load manifest
         await this.loadManifest();
         
         // Load all facts
         await this.loadAllFacts();
         
+        // Load autopilot itinerary
+        await autopilot.load();
+        
+        // Load timed bulletins
+        await bulletinManager.load();
+        
         // Set up keyboard controls
         this.setupKeyboardControls();
         
@@ -51,16 +71,103 @@ class TimeMachine {
         // Start glitch effects
         glitchManager.start();
         
+        // Listen for the operator console and phone remotes
+        operatorLink.start(this);
+        relayClient.start(this);
+        
         // Start clock
         this.startClock();
         
-        // Load starting year (2025)
-        await this.goToYear(1, false);
+        // Load starting year
+        await this.goToYear(this.startYearKey, false);
+        
+        // Get every other era's opening slides ready for arrival
+        slideshow.warm(this.manifest);
+        
+        // Start autopilot (runs only if the itinerary enables it)
+        autopilot.start(this);
+        
+        // Arm the New Year countdown
+        countdownManager.start(this);
+        
+        // Follow midnight around the world
+        midnightTracker.start();
+        
+        // Host announcements (hidden prompt and timed cues)
+        bulletinManager.start();
+        
+        // Hidden content check report (press P)
+        preflight.start();
+        
+        // Keep every era's media cached for offline shows
+        temporalCache.start(this.manifest, this.years);
         
         this.isInitialized = true;
         console.log('✅ Temporal Navigation System online');
     }
     
+    /**
+     * Load the era registry from eras.json
+     * Each era defines its key binding, label, era suffix, media folder,
+     * facts file and optional theme/audio settings
+     */
+    async loadEras() {
+        let registry = DEFAULT_ERAS;
+        
+        try {
+            const response = await fetch('eras.json');
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            
+            const loaded = await response.json();
+            if (!Array.isArray(loaded.eras) || loaded.eras.length === 0) throw new Error('no eras listed');
+            registry = loaded;
+        } catch (e) {
+            console.warn('⚠️ Could not load era registry, using built-in eras:', e);
+        }
+        
+        this.years = {};
+        for (const era of registry.eras) {
+            const config = this.normalizeEra(era);
+            if (this.years[config.key]) {
+                console.warn(`⚠️ Duplicate era key "${config.key}", ignoring ${config.display}`);
+                continue;
+            }
+            this.years[config.key] = config;
+        }
+        
+        const keys = Object.keys(this.years);
+        this.startYearKey = this.years[registry.startKey] ? String(registry.startKey) : keys[0];
+        
+        console.log(`🗺️ Era registry loaded: ${keys.map(k => this.years[k].display).join(', ')}`);
+    }
+    
+    /**
+     * Fill in defaults for an era registry entry
+     * @param {Object} era - Raw entry from eras.json
+     * @returns {Object} Era config used throughout the app
+     */
+    normalizeEra(era) {
+        return {
+            ...era,
+            ...eraDefaults(era), // js/eras.js - shared with the preflight checks
+            theme: era.theme || 'cosmic',
+            transition: era.transition || 'crossfade'
+        };
+    }
+    
+    /**
+     * Find an era key by key, folder, year or label
+     * @param {string} ref - e.g. "5", "423bce", "1969" or "2026 CE"
+     * @returns {string|null} Era key
+     */
+    findEra(ref) {
+        const target = String(ref);
+        const match = Object.values(this.years).find(era =>
+            era.key === target || era.folder === target || era.year === target || era.display === target
+        );
+        return match ? match.key : null;
+    }
+    
     /**
      * Load image manifest
      */
@@ -71,34 +178,24 @@ class TimeMachine {
             console.log('📁 Manifest loaded:', this.manifest);
         } catch (e) {
             console.warn('⚠️ Could not load manifest, using empty:', e);
-            this.manifest = {
-                "2025": [],
-                "1969": [],
-                "1751": [],
-                "423bce": [],
-                "2026": []
-            };
+            this.manifest = {};
+            for (const config of Object.values(this.years)) {
+                this.manifest[config.folder] = [];
+            }
         }
     }
     
     /**
-     * Load facts for all years
+     * Load facts for all years (plain .txt or structured .json, see js/facts.js)
      */
     async loadAllFacts() {
-        const folders = ['2025', '1969', '1751', '423bce', '2026'];
-        
-        for (const folder of folders) {
+        for (const { folder, facts } of Object.values(this.years)) {
             try {
-                const response = await fetch(`facts/${folder}.txt`);
-                const text = await response.text();
-                // Split by newlines, filter empty lines
-                this.facts[folder] = text.split('\n')
-                    .map(line => line.trim())
-                    .filter(line => line.length > 0);
+                this.facts[folder] = await factsManager.load(facts);
                 console.log(`📜 Loaded ${this.facts[folder].length} facts for ${folder}`);
             } catch (e) {
                 console.warn(`⚠️ Could not load facts for ${folder}:`, e);
-                this.facts[folder] = ['Temporal data unavailable for this era.'];
+                this.facts[folder] = factsManager.fromLines(['Temporal data unavailable for this era.']);
             }
         }
     }
@@ -108,42 +205,129 @@ class TimeMachine {
      */
     setupKeyboardControls() {
         document.addEventListener('keydown', (e) => {
-            // Number keys 1-5 for year selection
-            if (e.key >= '1' && e.key <= '5') {
-                const yearKey = parseInt(e.key);
-                if (this.years[yearKey] && yearKey !== this.currentYearKey) {
-                    this.initiateTimeTravel(yearKey);
-                }
+            // Leave typing in the bulletin prompt alone
+            if (bulletinManager.isTyping(e)) return;
+            
+            // Era keys from the registry for year selection
+            if (this.years[e.key]) {
+                this.handleCommand({ command: 'travel', key: e.key });
+                return;
             }
             
             // Spacebar to exit wormhole
             if (e.key === ' ' || e.code === 'Space') {
                 e.preventDefault();
-                if (wormholeManager.isRunning()) {
-                    this.completeTimeTravel();
-                }
+                this.handleCommand({ command: 'arrive' });
             }
             
             // T for test chimes (hidden feature) - 3 bongs
             if (e.key === 't' || e.key === 'T') {
-                chimesManager.testChime(3);
+                this.handleCommand({ command: 'chime', count: 3 });
             }
             
             // B for bell test - simulates current hour
             if (e.key === 'b' || e.key === 'B') {
-                const hour = new Date().getHours() % 12 || 12;
-                chimesManager.testChime(hour);
+                this.handleCommand({ command: 'chime', hour: true });
             }
             
             // G for glitch test - triggers a random glitch
             if (e.key === 'g' || e.key === 'G') {
-                glitchManager.triggerRandomGlitch();
+                this.handleCommand({ command: 'glitch' });
+            }
+            
+            // A to toggle the autopilot itinerary
+            if (e.key === 'a' || e.key === 'A') {
+                this.handleCommand({ command: 'autopilot' });
             }
         });
         
         console.log('⌨️ Keyboard controls initialized');
     }
     
+    /**
+     * Execute a control command
+     * Shared by the keyboard handler and remote controls (operator console)
+     * @param {Object} message - { command: 'travel'|'arrive'|'glitch'|'chime'|'autopilot'|'bulletin', ... }
+     */
+    handleCommand(message) {
+        switch (message.command) {
+            case 'travel':
+                if (this.years[message.key] && message.key !== this.currentYearKey) {
+                    autopilot.onManualControl();
+                    this.initiateTimeTravel(message.key);
+                }
+                break;
+            case 'arrive':
+                if (wormholeManager.isRunning() && !malfunctionManager.isRedirecting()) {
+                    autopilot.onManualControl();
+                    this.completeTimeTravel();
+                }
+                break;
+            case 'glitch':
+                if (message.effect) {
+                    glitchManager.trigger(message.effect);
+                } else {
+                    glitchManager.triggerRandomGlitch();
+                }
+                break;
+            case 'chime':
+                // hour: true chimes the current hour in the home time zone
+                chimesManager.testChime(message.hour
+                    ? chimesManager.getChimeCount(timeKeeper.getParts().hours)
+                    : message.count || 3);
+                break;
+            case 'autopilot':
+                autopilot.toggle();
+                this.notifyStateChange();
+                break;
+            case 'bulletin':
+                // { text, seconds, mode: 'overlay'|'ticker', sound: 'bell'|'sting'|'none' }
+                bulletinManager.post(message);
+                break;
+            default:
+                console.warn(`Unknown command: ${message.command}`);
+        }
+    }
+    
+    /**
+     * Snapshot of what's on screen, for remote controls
+     */
+    getState() {
+        const current = this.years[this.currentYearKey];
+        const pending = this.years[this.pendingYearKey];
+        
+        return {
+            eras: Object.values(this.years).map(({ key, display }) => ({ key, label: display })),
+            currentKey: this.currentYearKey,
+            currentLabel: current ? current.display : null,
+            pendingKey: this.pendingYearKey || null,
+            pendingLabel: pending ? pending.display : null,
+            wormholeActive: wormholeManager.isRunning(),
+            malfunction: malfunctionManager.isActive(),
+            isChiming: chimesManager.isChiming,
+            nextChime: chimesManager.getNextChimeTime().getTime(),
+            homeTimeZone: timeKeeper.homeTimeZone,
+            autopilot: autopilot.getState(),
+            glitchEffects: glitchManager.getEnabledEffects()
+        };
+    }
+    
+    /**
+     * Register a callback for state changes
+     * @param {Function} listener - Called with getState() output
+     */
+    onStateChange(listener) {
+        this.stateListeners.push(listener);
+    }
+    
+    /**
+     * Tell listeners the state changed
+     */
+    notifyStateChange() {
+        const state = this.getState();
+        this.stateListeners.forEach(listener => listener(state));
+    }
+    
     /**
      * Start time travel to a new year
      */
@@ -159,8 +343,31 @@ class TimeMachine {
         // Store pending destination
         this.pendingYearKey = yearKey;
         
-        // Start wormhole
+        // Start wormhole and let the era's ambience fade out under it
         wormholeManager.start(destination.display);
+        yearOdometer.start(this.years[this.currentYearKey], destination);
+        ambience.fadeOut();
+        
+        // Maybe veer off course partway (navigation malfunction mode)
+        malfunctionManager.arm(this, yearKey);
+        
+        this.notifyStateChange();
+    }
+    
+    /**
+     * Change destination while the wormhole is open
+     * @param {string} yearKey - The new destination's era key
+     */
+    redirectTimeTravel(yearKey) {
+        const destination = this.years[yearKey];
+        if (!destination || !wormholeManager.isRunning()) return;
+        
+        console.log(`🌀 Rerouting to ${destination.display}`);
+        this.pendingYearKey = yearKey;
+        wormholeManager.setDestination(destination.display);
+        yearOdometer.retarget(destination);
+        
+        this.notifyStateChange();
     }
     
     /**
@@ -172,8 +379,14 @@ class TimeMachine {
         const yearKey = this.pendingYearKey;
         this.pendingYearKey = null;
         
-        // Stop wormhole (plays arrival animation)
-        await wormholeManager.stop();
+        // Arriving mid-malfunction accepts the detour
+        malfunctionManager.onArrival();
+        
+        // Let the odometer slow down and lock on the destination
+        await yearOdometer.lock();
+        
+        // Stop wormhole (plays arrival animation), switching theme under the flash
+        await wormholeManager.stop(() => this.applyTheme(this.years[yearKey].theme, false));
         
         // Go to new year
         await this.goToYear(yearKey, true);
@@ -181,91 +394,93 @@ class TimeMachine {
     
     /**
      * Navigate to a specific year
-     * @param {number} yearKey - The year key (1-5)
+     * @param {string} yearKey - The era's key from the registry
      * @param {boolean} animate - Whether to animate the transition
      */
     async goToYear(yearKey, animate = true) {
         const yearConfig = this.years[yearKey];
         if (!yearConfig) return;
         
+        const previousConfig = this.years[this.currentYearKey];
         this.currentYearKey = yearKey;
         
-        // Update year display
-        if (animate) {
-            this.yearValue.style.opacity = '0';
-            this.yearEra.style.opacity = '0';
-            await this.wait(200);
-        }
-        
-        this.yearValue.textContent = yearConfig.year;
-        this.yearEra.textContent = yearConfig.era;
+        // Switch era theme (already done under the flash when arriving by wormhole)
+        this.applyTheme(yearConfig.theme, animate);
         
-        if (animate) {
-            this.yearValue.style.opacity = '1';
-            this.yearEra.style.opacity = '1';
+        // Update year display - count over from the old year when animating.
+        // Glitch scrambles restore the settled year rather than one mid-count
+        this.yearValue.dataset.originalText = yearConfig.year;
+        this.yearEra.dataset.originalText = yearConfig.era;
+        const counting = animate && yearOdometer.countTo(this.yearValue, this.yearEra, previousConfig, yearConfig);
+        if (!counting) {
+            yearOdometer.stopCount();
+            this.yearValue.textContent = yearConfig.year;
+            this.yearEra.textContent = yearConfig.era;
         }
         
         // Update status based on current time
-        this.updateStatusText(new Date().getMinutes());
+        this.updateStatusText(timeKeeper.getParts().minutes);
         
         // Load slideshow for this year
         const mediaList = this.manifest[yearConfig.folder] || [];
-        await slideshow.loadYear(yearConfig.folder, mediaList);
+        await slideshow.loadYear(yearConfig.folder, mediaList, {
+            transition: yearConfig.transition,
+            maxVideoSeconds: yearConfig.maxVideoSeconds
+        });
         
         // Start facts rotation for this year
         this.startFactsRotation(yearConfig.folder);
         
+        // Fade in the era's ambient bed
+        ambience.play(yearConfig);
+        
+        this.notifyStateChange();
+        
         console.log(`📍 Arrived at ${yearConfig.display}`);
     }
     
     /**
-     * Start continuous facts ticker for current year
+     * Apply an era's visual theme (see css/themes.css)
+     * @param {string} theme - Theme name from eras.json
+     * @param {boolean} animate - Crossfade colors instead of switching instantly
      */
-    startFactsRotation(folder) {
-        const facts = this.facts[folder] || ['No data available.'];
-        const tickerContent = document.getElementById('ticker-content');
-        
-        // Shuffle facts for random order each time
-        const shuffledFacts = [...facts];
-        this.shuffleArray(shuffledFacts);
-        
-        // Build continuous ticker content: all facts with separators, duplicated for seamless loop
-        const separator = ' ◆ ';
-        const allFacts = shuffledFacts.join(separator) + separator;
-        
-        // Clear existing content and add two copies for seamless loop
-        tickerContent.innerHTML = '';
+    applyTheme(theme, animate = true) {
+        const body = document.body;
+        if (body.dataset.theme === theme) return;
         
-        const span1 = document.createElement('span');
-        span1.className = 'ticker-facts';
-        span1.textContent = allFacts;
-        
-        const span2 = document.createElement('span');
-        span2.className = 'ticker-facts';
-        span2.textContent = allFacts;
+        if (animate) {
+            body.classList.add('theme-changing');
+            clearTimeout(this.themeTimeout);
+            this.themeTimeout = setTimeout(() => body.classList.remove('theme-changing'), 1000);
+        }
         
-        tickerContent.appendChild(span1);
-        tickerContent.appendChild(span2);
+        body.dataset.theme = theme;
+        console.log(`🎨 Theme: ${theme}`);
+    }
+    
+    /**
+     * Feed the current year's facts into the ticker
+     * Whatever is already scrolling stays on screen; the new facts follow it
+     */
+    startFactsRotation(folder) {
+        const today = timeKeeper.getParts();
+        this.factsDate = `${today.month}-${today.day}`;
         
-        // Calculate animation duration based on content length
-        // Fast enough to be dynamic, slow enough to read
-        const charWidth = 10; // Approximate pixels per character at 1.4rem
-        const contentWidth = allFacts.length * charWidth;
-        const scrollSpeed = 150; // pixels per second - brisk news ticker pace
-        const duration = contentWidth / scrollSpeed;
+        // Pinned facts first, then today's, then a weighted shuffle
+        let facts = factsManager.orderForTicker(this.facts[folder] || [], today).map(fact => factsManager.formatFact(fact));
+        if (facts.length === 0) facts = ['No data available.'];
         
-        // Reset and apply animation
-        tickerContent.style.animation = 'none';
-        tickerContent.offsetHeight; // Force reflow
-        tickerContent.style.animation = `scroll-ticker-continuous ${duration}s linear infinite`;
+        factsTicker.setFacts(facts);
         
-        console.log(`📜 Ticker loaded with ${facts.length} facts, duration: ${duration.toFixed(1)}s`);
+        console.log(`📜 Ticker loaded with ${facts.length} facts`);
     }
     
     /**
      * Start the clock display
      */
     startClock() {
+        this.buildWorldClocks();
+        
         // Update immediately
         this.updateClock();
         
@@ -302,13 +517,24 @@ class TimeMachine {
      */
     updateClock() {
         const now = new Date();
-        const currentMinutes = now.getMinutes();
-        const currentSeconds = now.getSeconds();
+        const homeTime = timeKeeper.getParts(now);
+        const currentMinutes = homeTime.minutes;
+        const currentSeconds = homeTime.seconds;
+        
+        // New Year gets its own countdown to the exact target moment
+        const isNewYearMode = countdownManager.isWarning(now.getTime());
         
         // Check if we're within 10 minutes of the hour (minutes 50-59)
-        const isCountdownMode = currentMinutes >= 50;
+        const isCountdownMode = isNewYearMode || currentMinutes >= 50;
         
-        if (isCountdownMode) {
+        if (isNewYearMode) {
+            const remaining = Math.ceil(countdownManager.getRemaining(now.getTime()) / 1000);
+            const displayMinutes = Math.floor(remaining / 60);
+            const displaySeconds = remaining % 60;
+            
+            this.clockTime.textContent = `00:${displayMinutes.toString().padStart(2, '0')}:${displaySeconds.toString().padStart(2, '0')}`;
+            this.clockContainer.classList.add('countdown-mode');
+        } else if (isCountdownMode) {
             // Show countdown to the hour
             const minutesRemaining = 59 - currentMinutes;
             const secondsRemaining = 60 - currentSeconds;
@@ -321,7 +547,7 @@ class TimeMachine {
             this.clockContainer.classList.add('countdown-mode');
         } else {
             // Show current time
-            const hours = now.getHours().toString().padStart(2, '0');
+            const hours = homeTime.hours.toString().padStart(2, '0');
             const minutes = currentMinutes.toString().padStart(2, '0');
             const seconds = currentSeconds.toString().padStart(2, '0');
             
@@ -329,14 +555,60 @@ class TimeMachine {
             this.clockContainer.classList.remove('countdown-mode');
         }
         
+        this.clockContainer.classList.toggle('new-year-mode', isNewYearMode);
+        this.temporalWarning.textContent = isNewYearMode ? 'NEW YEAR TEMPORAL SHIFT IMMINENT' : 'TEMPORAL SHIFT IMMINENT';
+        
+        // Secondary world clocks
+        this.updateWorldClocks(now);
+        
         // Update status text based on time of hour
         this.updateStatusText(currentMinutes);
+        
+        // Past the home time zone's midnight: re-pick "on this day" facts
+        // (mid-jump, arrival picks them anyway)
+        if (this.factsDate && this.factsDate !== `${homeTime.month}-${homeTime.day}` && !wormholeManager.isRunning()) {
+            this.startFactsRotation(this.years[this.currentYearKey].folder);
+        }
+    }
+    
+    /**
+     * Build the row of secondary world clocks from CLOCK_CONFIG
+     */
+    buildWorldClocks() {
+        this.worldClocks.innerHTML = '';
+        
+        for (const { label, timeZone } of CLOCK_CONFIG.worldClocks) {
+            if (!timeKeeper.validateZone(timeZone)) continue;
+            
+            const clock = document.createElement('div');
+            clock.className = 'world-clock';
+            clock.dataset.timeZone = timeZone;
+            clock.innerHTML = `<span class="world-clock-label"></span><span class="world-clock-time"></span>`;
+            clock.querySelector('.world-clock-label').textContent = label;
+            this.worldClocks.appendChild(clock);
+        }
+        
+        this.worldClocks.classList.toggle('hidden', this.worldClocks.children.length === 0);
+    }
+    
+    /**
+     * Update the world clock readouts
+     */
+    updateWorldClocks(now) {
+        for (const clock of this.worldClocks.children) {
+            const time = timeKeeper.formatTime(now, clock.dataset.timeZone);
+            const timeEl = clock.lastElementChild;
+            if (timeEl.textContent !== time) timeEl.textContent = time;
+        }
     }
     
     /**
      * Update the status text based on time of hour
      */
     updateStatusText(currentMinutes) {
+        // A navigation malfunction keeps the status bar until arrival
+        if (malfunctionManager.holdsStatus()) return;
+        
         // First 30 minutes of the hour: recharging
         // Last 30 minutes of the hour: locked
         const newStatus = currentMinutes < 30 
@@ -355,16 +627,6 @@ class TimeMachine {
     wait(ms) {
         return new Promise(resolve => setTimeout(resolve, ms));
     }
-    
-    /**
-     * Utility: shuffle array in place (Fisher-Yates)
-     */
-    shuffleArray(array) {
-        for (let i = array.length - 1; i > 0; i--) {
-            const j = Math.floor(Math.random() * (i + 1));
-            [array[i], array[j]] = [array[j], array[i]];
-        }
-    }
 }
 
 // Initialize on DOM ready
@@ -35,17 +35,15 @@ class AudioSynth {
     
     /**
      * Play a church bell sound
+     * @param {number} fundamental - Bell fundamental frequency in Hz (default A3)
      */
-    playBell() {
+    playBell(fundamental = 220) {
         if (!this.audioContext) this.init();
         if (!this.audioContext) return;
         
         const ctx = this.audioContext;
         const now = ctx.currentTime;
         
-        // Bell fundamental frequency
-        const fundamental = 220; // A3
-        
         // Create multiple oscillators for rich bell sound
         const frequencies = [
             fundamental,
@@ -205,6 +203,167 @@ class AudioSynth {
         };
     }
     
+    /**
+     * Play a looping ambient bed (fallback for missing era ambience files)
+     * @param {string} preset - 'murmur' (crowd), 'drone' (low strings) or 'radio' (static and tone)
+     * @returns {Object} Controller with setVolume(0-1) and stop() methods
+     */
+    playAmbient(preset = 'murmur') {
+        if (!this.audioContext) this.init();
+        if (!this.audioContext) return { setVolume: () => {}, stop: () => {} };
+        
+        const ctx = this.audioContext;
+        const now = ctx.currentTime;
+        const presets = {
+            murmur: { filter: 'lowpass', frequency: 600, q: 0.7, noise: 0.5, tones: [], wobble: 0.3 },
+            drone: { filter: 'lowpass', frequency: 300, q: 0.5, noise: 0.05, tones: [110, 110.6, 164.8], wobble: 0.1 },
+            radio: { filter: 'bandpass', frequency: 2500, q: 0.8, noise: 0.25, tones: [440, 554.4], wobble: 5 }
+        };
+        const settings = presets[preset] || presets.murmur;
+        
+        const masterGain = ctx.createGain();
+        masterGain.gain.value = 0;
+        masterGain.connect(ctx.destination);
+        
+        // Filtered noise bed
+        const bufferSize = ctx.sampleRate * 2;
+        const noiseBuffer = ctx.createBuffer(1, bufferSize, ctx.sampleRate);
+        const noiseData = noiseBuffer.getChannelData(0);
+        for (let i = 0; i < bufferSize; i++) {
+            noiseData[i] = Math.random() * 2 - 1;
+        }
+        
+        const noiseSource = ctx.createBufferSource();
+        noiseSource.buffer = noiseBuffer;
+        noiseSource.loop = true;
+        
+        const filter = ctx.createBiquadFilter();
+        filter.type = settings.filter;
+        filter.frequency.value = settings.frequency;
+        filter.Q.value = settings.q;
+        
+        const noiseGain = ctx.createGain();
+        noiseGain.gain.value = settings.noise;
+        
+        noiseSource.connect(filter);
+        filter.connect(noiseGain);
+        noiseGain.connect(masterGain);
+        
+        // Slow swell (or radio warble) so the bed doesn't sound static
+        const lfo = ctx.createOscillator();
+        const lfoGain = ctx.createGain();
+        lfo.frequency.value = settings.wobble;
+        lfoGain.gain.value = settings.noise * 0.4;
+        lfo.connect(lfoGain);
+        lfoGain.connect(noiseGain.gain);
+        
+        const oscillators = settings.tones.map(freq => {
+            const osc = ctx.createOscillator();
+            osc.type = 'sine';
+            osc.frequency.value = freq;
+            
+            const oscGain = ctx.createGain();
+            oscGain.gain.value = 0.08;
+            
+            osc.connect(oscGain);
+            oscGain.connect(masterGain);
+            return osc;
+        });
+        
+        noiseSource.start(now);
+        lfo.start(now);
+        oscillators.forEach(osc => osc.start(now));
+        
+        return {
+            setVolume: (volume) => {
+                masterGain.gain.setTargetAtTime(volume, ctx.currentTime, 0.05);
+            },
+            stop: () => {
+                masterGain.gain.setTargetAtTime(0, ctx.currentTime, 0.05);
+                
+                setTimeout(() => {
+                    try {
+                        noiseSource.stop();
+                        lfo.stop();
+                        oscillators.forEach(osc => osc.stop());
+                    } catch (e) {}
+                }, 300);
+            }
+        };
+    }
+    
+    /**
+     * Play a two-tone alarm klaxon (navigation malfunction)
+     */
+    playAlarm() {
+        if (!this.audioContext) this.init();
+        if (!this.audioContext) return;
+        
+        const ctx = this.audioContext;
+        const now = ctx.currentTime;
+        
+        const osc = ctx.createOscillator();
+        osc.type = 'square';
+        
+        // High-low-high-low
+        [880, 660, 880, 660].forEach((freq, i) => {
+            osc.frequency.setValueAtTime(freq, now + i * 0.2);
+        });
+        
+        const filter = ctx.createBiquadFilter();
+        filter.type = 'lowpass';
+        filter.frequency.value = 2000;
+        
+        const gain = ctx.createGain();
+        gain.gain.setValueAtTime(0, now);
+        gain.gain.linearRampToValueAtTime(0.15, now + 0.02);
+        gain.gain.setValueAtTime(0.15, now + 0.75);
+        gain.gain.linearRampToValueAtTime(0, now + 0.8);
+        
+        osc.connect(filter);
+        filter.connect(gain);
+        gain.connect(ctx.destination);
+        
+        osc.start(now);
+        osc.stop(now + 0.85);
+    }
+    
+    /**
+     * Play a rising three-note news sting (temporal bulletins)
+     */
+    playSting() {
+        if (!this.audioContext) this.init();
+        if (!this.audioContext) return;
+        
+        const ctx = this.audioContext;
+        const now = ctx.currentTime;
+        
+        // G4, C5, then a held E5 - two detuned saws per note for a brassy edge
+        [[392, 0, 0.15], [523.25, 0.15, 0.15], [659.25, 0.3, 0.6]].forEach(([freq, start, length]) => {
+            const gain = ctx.createGain();
+            gain.gain.setValueAtTime(0, now + start);
+            gain.gain.linearRampToValueAtTime(0.12, now + start + 0.02);
+            gain.gain.setValueAtTime(0.12, now + start + length - 0.05);
+            gain.gain.linearRampToValueAtTime(0, now + start + length);
+            
+            const filter = ctx.createBiquadFilter();
+            filter.type = 'lowpass';
+            filter.frequency.value = 2500;
+            filter.connect(gain);
+            gain.connect(ctx.destination);
+            
+            [-6, 6].forEach(detune => {
+                const osc = ctx.createOscillator();
+                osc.type = 'sawtooth';
+                osc.frequency.value = freq;
+                osc.detune.value = detune;
+                osc.connect(filter);
+                osc.start(now + start);
+                osc.stop(now + start + length + 0.05);
+            });
+        });
+    }
+    
     /**
      * Play arrival sound
      */
@@ -0,0 +1,256 @@
+/**
+ * Autopilot
+ * Runs timed travel cues from itinerary.json so the time machine can jump
+ * between eras unattended
+ *
+ * Cue types:
+ *   { "at": "22:30", "travel": "1969", "arriveAfter": 12 }     once a day at a set time
+ *   { "every": 20, "travel": "random", "from": "20:00", "until": "23:45" }
+ *                                                             every N minutes, optionally in a window
+ *
+ * Times are wall-clock times in the home time zone (see js/timekeeper.js).
+ * "travel" can be an era key, folder, year or label from eras.json, or "random".
+ * Manual travel (keyboard, operator console, phone remote) always wins: it cancels
+ * the autopilot's trip in progress and holds off cues for a while.
+ */
+
+class Autopilot {
+    constructor() {
+        this.timeMachine = null;
+        this.cues = [];
+        this.enabled = false;
+        this.checkInterval = null;
+        this.startTime = 0;
+        
+        // The autopilot's own jump in progress: { key, arriveAt }
+        this.trip = null;
+        
+        // Manual control pauses cues until this timestamp
+        this.manualHoldUntil = 0;
+        
+        // Defaults (overridable from itinerary.json)
+        this.arriveAfter = 12;                 // seconds in the wormhole
+        this.manualHoldTime = 5 * 60 * 1000;   // 5 minutes
+        this.lateWindow = 5 * 60 * 1000;       // "at" cues may fire up to 5 minutes late
+    }
+    
+    /**
+     * Load the itinerary
+     * @param {string} url - Itinerary file
+     */
+    async load(url = 'itinerary.json') {
+        try {
+            const response = await fetch(url);
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            const itinerary = await response.json();
+            
+            this.cues = (itinerary.cues || []).map(cue => ({ ...cue, lastRun: 0 }));
+            this.enabled = !!itinerary.enabled;
+            if (itinerary.arriveAfter) this.arriveAfter = itinerary.arriveAfter;
+            if (itinerary.manualHoldMinutes !== undefined) {
+                this.manualHoldTime = itinerary.manualHoldMinutes * 60 * 1000;
+            }
+            
+            console.log(`🧭 Itinerary loaded: ${this.cues.length} cues (autopilot ${this.enabled ? 'on' : 'off'})`);
+        } catch (e) {
+            console.log('🧭 No itinerary found, autopilot idle');
+            this.cues = [];
+            this.enabled = false;
+        }
+    }
+    
+    /**
+     * Start checking cues
+     * @param {TimeMachine} timeMachine - The display's time machine
+     */
+    start(timeMachine) {
+        this.timeMachine = timeMachine;
+        this.startTime = Date.now();
+        
+        this.checkInterval = setInterval(() => this.check(), 1000);
+        
+        console.log('🧭 Autopilot started');
+    }
+    
+    /**
+     * Stop checking cues
+     */
+    stop() {
+        if (this.checkInterval) {
+            clearInterval(this.checkInterval);
+            this.checkInterval = null;
+        }
+        this.trip = null;
+    }
+    
+    /**
+     * Turn the autopilot on or off
+     */
+    toggle() {
+        this.enabled = !this.enabled;
+        this.trip = null;
+        this.manualHoldUntil = 0;
+        
+        // Interval cues count from the moment autopilot is switched on
+        this.startTime = Date.now();
+        this.cues.forEach(cue => { if (cue.every) cue.lastRun = 0; });
+        
+        console.log(`🧭 Autopilot ${this.enabled ? 'engaged' : 'disengaged'}`);
+        return this.enabled;
+    }
+    
+    /**
+     * Called when the host travels or arrives by hand
+     */
+    onManualControl() {
+        if (!this.enabled) return;
+        
+        this.trip = null;
+        this.manualHoldUntil = Date.now() + this.manualHoldTime;
+        console.log(`🧭 Manual override - autopilot holding for ${Math.round(this.manualHoldTime / 60000)} min`);
+    }
+    
+    /**
+     * Run once a second: finish our trip or fire the next due cue
+     */
+    check() {
+        if (!this.enabled || !this.timeMachine) return;
+        
+        const now = Date.now();
+        
+        // Our own jump in progress - arrive once its time is up (but not mid-chime)
+        if (this.trip) {
+            // A navigation malfunction counts as still ours - wait for the course correction
+            const detoured = malfunctionManager.isActive();
+            if (!wormholeManager.isRunning() || (this.timeMachine.pendingYearKey !== this.trip.key && !detoured)
+                || countdownManager.isActive()) {
+                this.trip = null;
+            } else if (now >= this.trip.arriveAt && !chimesManager.isChiming && !detoured) {
+                this.trip = null;
+                this.timeMachine.completeTimeTravel();
+            }
+            return;
+        }
+        
+        // Pause while anything else is happening
+        if (chimesManager.isChiming || wormholeManager.isRunning() || countdownManager.isActive()) return;
+        if (now < this.manualHoldUntil) return;
+        
+        const cue = this.cues.find(c => this.isDue(c, now));
+        if (cue) this.run(cue, now);
+    }
+    
+    /**
+     * Check if a cue should fire now
+     */
+    isDue(cue, now) {
+        if (cue.at) {
+            const target = this.todayAt(cue.at, now);
+            return now >= target && now - target <= this.lateWindow && cue.lastRun < target;
+        }
+        
+        if (cue.every) {
+            if (!this.inWindow(cue, now)) return false;
+            const since = cue.lastRun || this.startTime;
+            return now - since >= cue.every * 60 * 1000;
+        }
+        
+        return false;
+    }
+    
+    /**
+     * Fire a cue
+     */
+    run(cue, now) {
+        cue.lastRun = now;
+        
+        const key = this.resolveEra(cue.travel);
+        if (!key) {
+            console.warn(`🧭 Cue skipped, unknown destination: ${cue.travel}`);
+            return;
+        }
+        if (key === this.timeMachine.currentYearKey) {
+            console.log(`🧭 Cue skipped, already in ${this.timeMachine.years[key].display}`);
+            return;
+        }
+        
+        const arriveAfter = cue.arriveAfter || this.arriveAfter;
+        console.log(`🧭 Autopilot: travelling to ${this.timeMachine.years[key].display}, arriving in ${arriveAfter}s`);
+        
+        this.trip = { key, arriveAt: now + arriveAfter * 1000 };
+        this.timeMachine.initiateTimeTravel(key);
+    }
+    
+    /**
+     * Find an era key from a cue's destination
+     * @param {string} ref - Era key, folder, year, label or "random"
+     * @returns {string|null}
+     */
+    resolveEra(ref) {
+        const eras = Object.values(this.timeMachine.years);
+        
+        if (ref === 'random') {
+            const choices = eras.filter(era => era.key !== this.timeMachine.currentYearKey);
+            if (choices.length === 0) return null;
+            return choices[Math.floor(Math.random() * choices.length)].key;
+        }
+        
+        return this.timeMachine.findEra(ref);
+    }
+    
+    /**
+     * Check an interval cue's optional from/until window (may wrap past midnight)
+     */
+    inWindow(cue, now) {
+        if (!cue.from && !cue.until) return true;
+        
+        const minutes = this.minutesOfDay(now);
+        const from = cue.from ? this.parseTime(cue.from) / 60 : 0;
+        const until = cue.until ? this.parseTime(cue.until) / 60 : 24 * 60;
+        
+        return from <= until
+            ? minutes >= from && minutes < until
+            : minutes >= from || minutes < until;
+    }
+    
+    /**
+     * Timestamp for a clock time today (home time zone)
+     * @param {string} time - "HH:MM" or "HH:MM:SS"
+     */
+    todayAt(time, now) {
+        const { year, month, day } = timeKeeper.getParts(now);
+        const seconds = this.parseTime(time);
+        return timeKeeper.zonedTime(year, month, day, Math.floor(seconds / 3600),
+            Math.floor(seconds / 60) % 60, seconds % 60).getTime();
+    }
+    
+    /**
+     * Parse "HH:MM[:SS]" into seconds since midnight
+     */
+    parseTime(time) {
+        const [h = 0, m = 0, s = 0] = String(time).split(':').map(Number);
+        return h * 3600 + m * 60 + s;
+    }
+    
+    /**
+     * Minutes since midnight (home time zone)
+     */
+    minutesOfDay(now) {
+        const { hours, minutes } = timeKeeper.getParts(now);
+        return hours * 60 + minutes;
+    }
+    
+    /**
+     * Summary for remote controls
+     */
+    getState() {
+        return {
+            enabled: this.enabled,
+            holding: this.enabled && Date.now() < this.manualHoldUntil,
+            cues: this.cues.length
+        };
+    }
+}
+
+// Global instance
+const autopilot = new Autopilot();
@@ -0,0 +1,299 @@
+/**
+ * Temporal Bulletins
+ * Party announcements from the host ("Pizza has arrived in 2025 CE",
+ * "Toast in 5 minutes"), shown one at a time as a full "TEMPORAL BULLETIN"
+ * overlay or as a banner taking over the ticker, with an optional bell or
+ * synth sting.
+ *
+ * Bulletins come from:
+ *   - the hidden prompt (press N, type, Enter; Escape closes)
+ *   - timed cues in bulletins.json:
+ *       { "at": "21:00", "text": "Pizza has arrived in 2025 CE", "sound": "bell" }
+ *       { "at": "2026-12-31 23:55", "text": "Toast in 5 minutes", "mode": "ticker", "seconds": 20 }
+ *     "HH:MM" cues run daily, dated cues once. Times are in the home time zone.
+ *   - the 'bulletin' command (operator console, phone remote)
+ *
+ * Bulletins wait out the New Year countdown and the midnight city overlays.
+ */
+
+// Configuration
+const BULLETIN_CONFIG = {
+    defaultSeconds: 10,       // How long a bulletin stays up
+    defaultMode: 'overlay',   // 'overlay' or 'ticker'
+    defaultSound: 'sting',    // 'bell', 'sting' or 'none'
+    gapMs: 800,               // Pause between queued bulletins
+    lateMinutes: 5,           // Cues may still run this long after their time
+    promptKey: 'n'            // Opens the hidden prompt
+};
+
+class BulletinManager {
+    constructor() {
+        this.queue = [];
+        this.cues = [];
+        this.current = null;
+        this.hideTimeout = null;
+        this.checkInterval = null;
+        
+        this.overlay = null;
+        this.tickerBanner = null;
+        this.prompt = null;
+        this.ticker = document.getElementById('ticker');
+    }
+    
+    /**
+     * Load timed cues
+     * @param {string} url - Cue file
+     */
+    async load(url = 'bulletins.json') {
+        try {
+            const response = await fetch(url);
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            const data = await response.json();
+            
+            this.cues = (data.cues || [])
+                .filter(cue => cue.at && cue.text)
+                .map(cue => ({ ...cue, lastRun: 0 }));
+            
+            console.log(`📣 Bulletin cues loaded: ${this.cues.length}`);
+        } catch (e) {
+            console.log('📣 No bulletin cues found');
+            this.cues = [];
+        }
+    }
+    
+    /**
+     * Start checking cues and listening for the prompt key
+     */
+    start() {
+        document.addEventListener('keydown', (e) => {
+            if (e.key.toLowerCase() === BULLETIN_CONFIG.promptKey && !this.isTyping(e)) {
+                e.preventDefault();
+                this.openPrompt();
+            }
+        });
+        
+        this.checkInterval = setInterval(() => this.check(), 1000);
+        
+        console.log('📣 Bulletins ready');
+    }
+    
+    /**
+     * Queue a bulletin
+     * @param {Object|string} bulletin - Text, or { text, seconds, mode, sound }
+     */
+    post(bulletin) {
+        const { text, seconds, mode, sound } = typeof bulletin === 'string' ? { text: bulletin } : bulletin;
+        if (!text || !String(text).trim()) return;
+        
+        this.queue.push({
+            text: String(text).trim(),
+            seconds: Number(seconds) > 0 ? Number(seconds) : BULLETIN_CONFIG.defaultSeconds,
+            mode: mode === 'ticker' || mode === 'overlay' ? mode : BULLETIN_CONFIG.defaultMode,
+            sound: sound || BULLETIN_CONFIG.defaultSound
+        });
+        
+        console.log(`📣 Bulletin queued: ${text}`);
+        this.showNext();
+    }
+    
+    /**
+     * Run due cues and show the next bulletin if we're free
+     */
+    check() {
+        const now = Date.now();
+        
+        for (const cue of this.cues) {
+            const target = this.cueTime(cue.at, now);
+            if (target === null) continue;
+            
+            if (now >= target && now - target <= BULLETIN_CONFIG.lateMinutes * 60 * 1000 && cue.lastRun < target) {
+                cue.lastRun = now;
+                this.post(cue);
+            }
+        }
+        
+        this.showNext();
+    }
+    
+    /**
+     * Timestamp a cue is due at
+     * @param {string} at - "HH:MM[:SS]" (today) or "YYYY-MM-DD HH:MM[:SS]"
+     * @returns {number|null}
+     */
+    cueTime(at, now) {
+        const match = String(at).match(/^(?:(\d{4})-(\d{1,2})-(\d{1,2})[T ])?(\d{1,2}):(\d{2})(?::(\d{2}))?$/);
+        if (!match) return null;
+        
+        const [, year, month, day, hours, minutes, seconds = 0] = match.map(v => v === undefined ? undefined : Number(v));
+        const today = timeKeeper.getParts(now);
+        
+        return timeKeeper.zonedTime(
+            year || today.year, month || today.month, day || today.day,
+            hours, minutes, seconds
+        ).getTime();
+    }
+    
+    /**
+     * Show the next queued bulletin, waiting out the countdown and midnight overlays
+     */
+    showNext() {
+        if (this.current || this.queue.length === 0) return;
+        if (countdownManager.isActive() || midnightTracker.isShowing) return;
+        
+        this.show(this.queue.shift());
+    }
+    
+    /**
+     * Put a bulletin up and schedule it to come down
+     */
+    show(bulletin) {
+        this.current = bulletin;
+        this.playSound(bulletin.sound);
+        
+        const element = bulletin.mode === 'ticker' ? this.getTickerBanner() : this.getOverlay();
+        element.querySelector('.bulletin-text').textContent = bulletin.text;
+        
+        // Progress bar drains over the bulletin's duration
+        const bar = element.querySelector('.bulletin-progress');
+        bar.style.transition = 'none';
+        bar.style.transform = 'scaleX(1)';
+        bar.offsetWidth; // Force reflow
+        bar.style.transition = `transform ${bulletin.seconds}s linear`;
+        bar.style.transform = 'scaleX(0)';
+        
+        element.classList.add('visible');
+        glitchManager.trigger('rgbSplit');
+        
+        console.log(`📣 Bulletin (${bulletin.mode}, ${bulletin.seconds}s): ${bulletin.text}`);
+        
+        this.hideTimeout = setTimeout(() => this.hide(), bulletin.seconds * 1000);
+    }
+    
+    /**
+     * Take the current bulletin down and move on
+     */
+    hide() {
+        clearTimeout(this.hideTimeout);
+        this.hideTimeout = null;
+        
+        [this.overlay, this.tickerBanner].forEach(element => {
+            if (element) element.classList.remove('visible');
+        });
+        this.current = null;
+        
+        setTimeout(() => this.showNext(), BULLETIN_CONFIG.gapMs);
+    }
+    
+    /**
+     * Bell or synth sting to grab attention
+     */
+    playSound(sound) {
+        if (typeof audioSynth === 'undefined') return;
+        
+        if (sound === 'bell') {
+            audioSynth.playBell(330);
+        } else if (sound === 'sting') {
+            audioSynth.playSting();
+        }
+    }
+    
+    /**
+     * Full-screen bulletin card (created on first use)
+     */
+    getOverlay() {
+        if (!this.overlay) {
+            this.overlay = document.createElement('div');
+            this.overlay.id = 'bulletin-overlay';
+            this.overlay.innerHTML = `
+                <div class="bulletin-title">TEMPORAL BULLETIN</div>
+                <div class="bulletin-text"></div>
+                <div class="bulletin-progress"></div>
+            `;
+            document.body.appendChild(this.overlay);
+        }
+        return this.overlay;
+    }
+    
+    /**
+     * Banner laid over the facts ticker (created on first use)
+     */
+    getTickerBanner() {
+        if (!this.tickerBanner) {
+            this.tickerBanner = document.createElement('div');
+            this.tickerBanner.id = 'bulletin-ticker';
+            this.tickerBanner.innerHTML = `
+                <span class="bulletin-title">TEMPORAL BULLETIN</span>
+                <span class="bulletin-text"></span>
+                <div class="bulletin-progress"></div>
+            `;
+            this.ticker.appendChild(this.tickerBanner);
+        }
+        return this.tickerBanner;
+    }
+    
+    /**
+     * Show the hidden prompt for typing a bulletin
+     */
+    openPrompt() {
+        if (!this.prompt) {
+            this.prompt = document.createElement('form');
+            this.prompt.id = 'bulletin-prompt';
+            this.prompt.className = 'hidden';
+            this.prompt.innerHTML = `
+                <input name="text" type="text" placeholder="Bulletin text" autocomplete="off">
+                <input name="seconds" type="number" min="1" value="${BULLETIN_CONFIG.defaultSeconds}" title="Seconds">
+                <select name="mode">
+                    <option value="overlay">Overlay</option>
+                    <option value="ticker">Ticker</option>
+                </select>
+                <select name="sound">
+                    <option value="sting">Sting</option>
+                    <option value="bell">Bell</option>
+                    <option value="none">Silent</option>
+                </select>
+            `;
+            this.prompt.elements.mode.value = BULLETIN_CONFIG.defaultMode;
+            this.prompt.elements.sound.value = BULLETIN_CONFIG.defaultSound;
+            
+            this.prompt.addEventListener('submit', (e) => {
+                e.preventDefault();
+                const fields = this.prompt.elements;
+                this.post({
+                    text: fields.text.value,
+                    seconds: fields.seconds.value,
+                    mode: fields.mode.value,
+                    sound: fields.sound.value
+                });
+                this.closePrompt();
+            });
+            this.prompt.addEventListener('keydown', (e) => {
+                if (e.key === 'Escape') this.closePrompt();
+            });
+            
+            document.body.appendChild(this.prompt);
+        }
+        
+        this.prompt.classList.remove('hidden');
+        this.prompt.elements.text.value = '';
+        this.prompt.elements.text.focus();
+    }
+    
+    /**
+     * Hide the prompt
+     */
+    closePrompt() {
+        if (!this.prompt) return;
+        this.prompt.classList.add('hidden');
+        document.activeElement.blur();
+    }
+    
+    /**
+     * Whether a key press is going into a form field
+     */
+    isTyping(e) {
+        return !!e.target.closest && !!e.target.closest('input, select, textarea');
+    }
+}
+
+// Global instance
+const bulletinManager = new BulletinManager();
@@ -9,6 +9,7 @@ class ChimesManager {
         this.checkInterval = null;
         this.lastChimeHour = -1;
         this.isChiming = false;
+        this.isSuppressed = false;
         
         // Bell timing
         this.bellDelay = 1920; // ~1.9 seconds between bongs (1.3x faster)
@@ -43,17 +44,41 @@ class ChimesManager {
      * Check if it's time to chime
      */
     checkTime() {
-        const now = new Date();
-        const hours = now.getHours();
-        const minutes = now.getMinutes();
+        const { hours, minutes } = timeKeeper.getParts();
         
         // Only chime on the hour (within first minute)
         if (minutes === 0 && hours !== this.lastChimeHour && !this.isChiming) {
             this.lastChimeHour = hours;
+            
+            if (this.isSuppressed) {
+                console.log(`🔕 Skipping ${hours}:00 chime (suppressed)`);
+                return;
+            }
+            
             this.chime(this.getChimeCount(hours));
         }
     }
     
+    /**
+     * Hold hourly chimes (e.g. while the New Year countdown runs)
+     * An hour that passes while suppressed is skipped, not played late
+     * @param {boolean} isSuppressed
+     */
+    suppress(isSuppressed) {
+        this.isSuppressed = isSuppressed;
+    }
+    
+    /**
+     * Get the time of the next hourly chime
+     * @returns {Date} Top of the next hour in the home time zone
+     */
+    getNextChimeTime() {
+        const now = new Date();
+        const { minutes, seconds } = timeKeeper.getParts(now);
+        const elapsed = (minutes * 60 + seconds) * 1000 + now.getMilliseconds();
+        return new Date(now.getTime() - elapsed + 60 * 60 * 1000);
+    }
+    
     /**
      * Get number of chimes for the hour (12-hour format)
      * @param {number} hour24 - Hour in 24-hour format
@@ -72,10 +97,11 @@ class ChimesManager {
         if (this.isChiming || !this.audioBell) return;
         
         this.isChiming = true;
-        console.log(`🔔 Chiming ${count} times for ${new Date().toLocaleTimeString()}`);
+        console.log(`🔔 Chiming ${count} times for ${timeKeeper.formatTime(new Date(), timeKeeper.homeTimeZone, true)}`);
         
         // Visual indicator
         this.showChimeIndicator(count);
+        factsTicker.announce(`🔔 The bells strike ${count} - it's ${timeKeeper.formatTime()}`);
         
         for (let i = 0; i < count; i++) {
             await this.playBell();
@@ -119,10 +145,48 @@ class ChimesManager {
     
     /**
      * Play synthesized bell sound
+     * @param {number} pitch - Pitch relative to the normal bell (1 = normal)
      */
-    playSynthBell() {
+    playSynthBell(pitch = 1) {
         if (typeof audioSynth !== 'undefined') {
-            audioSynth.playBell();
+            audioSynth.playBell(220 * pitch);
+        }
+    }
+    
+    /**
+     * Play a quick run of bells at different pitches
+     * Distinct from the hourly count so guests can tell them apart
+     * @param {Array<number>} pitches - Pitches relative to the normal bell
+     * @param {number} spacing - Milliseconds between bells
+     */
+    async chimePattern(pitches = [1, 1.26, 1.5, 2], spacing = 350) {
+        if (this.isChiming) return;
+        
+        this.isChiming = true;
+        console.log(`🔔 Chime pattern: ${pitches.join(', ')}`);
+        
+        for (const pitch of pitches) {
+            this.playBellAt(pitch);
+            await this.wait(spacing);
+        }
+        
+        // Let the last bell ring out before others may chime
+        await this.wait(1000);
+        this.isChiming = false;
+    }
+    
+    /**
+     * Play one overlapping bell at a pitch (file if available, else synth)
+     */
+    playBellAt(pitch) {
+        if (this.audioBell && this.audioBell.src && !this.audioBell.error) {
+            const bell = this.audioBell.cloneNode();
+            bell.playbackRate = pitch;
+            bell.preservesPitch = false;
+            bell.volume = 0.8;
+            bell.play().catch(() => this.playSynthBell(pitch));
+        } else {
+            this.playSynthBell(pitch);
         }
     }
     
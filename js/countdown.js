@@ -0,0 +1,354 @@
+/**
+ * New Year Countdown
+ * Escalating final-minute sequence that carries the party into the new year:
+ * intensifying glitches, an automatic wormhole, a full-screen 10-to-1
+ * countdown, and a celebration on arrival in the new year's era.
+ *
+ * Every stage is derived from the time remaining on each tick, so a
+ * throttled or backgrounded tab catches up instead of drifting.
+ */
+
+// Configuration
+const COUNTDOWN_CONFIG = {
+    target: null,                 // ISO date (home time zone unless it has an offset); null = next Jan 1, 00:00 home time
+    arrivalEra: '2026',           // Era to land in at zero (key, folder, year or label)
+    warningMinutes: 10,           // Clock switches to New Year mode this long before zero
+    finalSequenceSeconds: 60,     // Glitches start escalating this long before zero
+    wormholeSeconds: 30,          // Wormhole opens this long before zero
+    bigCountdownSeconds: 10,      // Full-screen digits for the last N seconds
+    celebrationSeconds: 30,       // How long the celebration overlay stays up
+    lateGraceSeconds: 300,        // Still celebrate if the tab wakes up this late
+    chimeAfterCelebration: true   // Play the midnight chimes once the celebration ends
+};
+
+class CountdownManager {
+    constructor() {
+        this.timeMachine = null;
+        this.target = null;
+        this.stage = 'idle'; // idle | final | wormhole | countdown | celebration
+        this.lastRemaining = Infinity;
+        this.lastDigit = null;
+        this.lastGlitchTime = 0;
+        this.frameId = null;
+        this.tickInterval = null;
+        this.overlay = null;
+        this.celebrationTimeout = null;
+    }
+    
+    /**
+     * Start watching the clock
+     * @param {TimeMachine} timeMachine - The display's time machine
+     */
+    start(timeMachine) {
+        this.timeMachine = timeMachine;
+        this.target = this.getTarget();
+        
+        // Coarse ticker keeps running in background tabs; rAF takes over near zero
+        this.tickInterval = setInterval(() => this.tick(), 250);
+        
+        // Catch up immediately when the tab becomes visible again
+        document.addEventListener('visibilitychange', () => this.tick());
+        
+        console.log(`🎆 New Year countdown armed for ${this.target.toLocaleString()}`);
+    }
+    
+    /**
+     * Work out the target moment
+     * A ?countdown=<ISO date> URL parameter overrides the config (for rehearsals)
+     * @returns {Date}
+     */
+    getTarget() {
+        const override = new URLSearchParams(window.location.search).get('countdown');
+        const configured = override || COUNTDOWN_CONFIG.target;
+        
+        if (configured) {
+            const date = this.parseTarget(configured);
+            if (date) return date;
+            console.warn(`⚠️ Invalid countdown target "${configured}", using New Year`);
+        }
+        
+        const { year } = timeKeeper.getParts();
+        return timeKeeper.zonedTime(year + 1, 1, 1);
+    }
+    
+    /**
+     * Parse an ISO target. Without a UTC offset it's read as home time zone
+     * wall-clock time, not the browser's.
+     * @param {string} text - "YYYY-MM-DD[THH:MM[:SS]]", optionally ending in Z or ±HH:MM
+     * @returns {Date|null}
+     */
+    parseTarget(text) {
+        const local = String(text).match(/^(\d{4})-(\d{1,2})-(\d{1,2})(?:[T ](\d{1,2}):(\d{2})(?::(\d{2}))?)?$/);
+        if (local) {
+            const [, year, month, day, hours = 0, minutes = 0, seconds = 0] = local.map(v => v === undefined ? undefined : Number(v));
+            return timeKeeper.zonedTime(year, month, day, hours, minutes, seconds);
+        }
+        
+        const date = new Date(text);
+        return isNaN(date) ? null : date;
+    }
+    
+    /**
+     * Milliseconds until the target
+     */
+    getRemaining(now = Date.now()) {
+        return this.target ? this.target.getTime() - now : Infinity;
+    }
+    
+    /**
+     * Whether the clock should be in New Year warning mode
+     */
+    isWarning(now = Date.now()) {
+        const remaining = this.getRemaining(now);
+        return remaining > 0 && remaining <= COUNTDOWN_CONFIG.warningMinutes * 60 * 1000;
+    }
+    
+    /**
+     * Whether the final sequence or celebration is running
+     * Autopilot and chimes stand down while this is true
+     */
+    isActive() {
+        return this.stage !== 'idle';
+    }
+    
+    /**
+     * Advance the sequence based on the time remaining
+     */
+    tick() {
+        if (!this.target || this.stage === 'celebration') return;
+        
+        const remaining = this.getRemaining();
+        const seconds = remaining / 1000;
+        const previous = this.lastRemaining;
+        this.lastRemaining = remaining;
+        
+        // Crossed zero (possibly while throttled)
+        if (remaining <= 0) {
+            const crossedNow = previous > 0 && previous !== Infinity;
+            if (crossedNow && -seconds <= COUNTDOWN_CONFIG.lateGraceSeconds) {
+                this.arrive();
+            } else if (this.stage !== 'idle') {
+                this.reset();
+            }
+            return;
+        }
+        
+        if (seconds > COUNTDOWN_CONFIG.finalSequenceSeconds) return;
+        
+        if (this.stage === 'idle') this.beginFinalSequence();
+        
+        if (seconds <= COUNTDOWN_CONFIG.wormholeSeconds && this.stage === 'final') {
+            this.openWormhole();
+        }
+        
+        if (seconds <= COUNTDOWN_CONFIG.bigCountdownSeconds && this.stage !== 'countdown') {
+            this.showCountdown();
+        }
+        
+        this.escalateGlitches(seconds);
+        
+        if (this.stage === 'countdown') {
+            this.updateDigit(Math.ceil(seconds));
+        }
+    }
+    
+    /**
+     * Drive tick() every frame during the final minute
+     */
+    startFrameLoop() {
+        if (this.frameId) return;
+        
+        const frame = () => {
+            this.tick();
+            this.frameId = this.stage === 'idle' || this.stage === 'celebration'
+                ? null
+                : requestAnimationFrame(frame);
+        };
+        this.frameId = requestAnimationFrame(frame);
+    }
+    
+    /**
+     * Final minute begins
+     */
+    beginFinalSequence() {
+        this.stage = 'final';
+        document.body.classList.add('new-year-final');
+        
+        // Hold the hourly chime so it doesn't fight the countdown
+        chimesManager.suppress(true);
+        
+        this.startFrameLoop();
+        console.log('🎆 Final sequence engaged');
+    }
+    
+    /**
+     * Open the wormhole toward the new year's era
+     */
+    openWormhole() {
+        this.stage = 'wormhole';
+        
+        const key = this.timeMachine.findEra(COUNTDOWN_CONFIG.arrivalEra);
+        if (!key) {
+            console.warn(`⚠️ Countdown arrival era "${COUNTDOWN_CONFIG.arrivalEra}" not found`);
+            return;
+        }
+        
+        if (wormholeManager.isRunning()) {
+            this.timeMachine.redirectTimeTravel(key);
+        } else {
+            this.timeMachine.initiateTimeTravel(key);
+        }
+    }
+    
+    /**
+     * More glitches the closer we get
+     * @param {number} seconds - Seconds remaining
+     */
+    escalateGlitches(seconds) {
+        const progress = 1 - seconds / COUNTDOWN_CONFIG.finalSequenceSeconds;
+        const interval = 4000 - progress * 3600; // 4s down to 0.4s between glitches
+        const now = Date.now();
+        
+        if (now - this.lastGlitchTime >= interval) {
+            this.lastGlitchTime = now;
+            glitchManager.triggerRandomGlitch();
+        }
+    }
+    
+    /**
+     * Show the full-screen countdown overlay
+     */
+    showCountdown() {
+        this.stage = 'countdown';
+        
+        if (!this.overlay) {
+            this.overlay = document.createElement('div');
+            this.overlay.id = 'new-year-overlay';
+            document.body.appendChild(this.overlay);
+        }
+        
+        this.overlay.className = 'counting';
+        this.overlay.innerHTML = '<div class="new-year-digit"></div>';
+        this.lastDigit = null;
+    }
+    
+    /**
+     * Update the big digit when it changes
+     * @param {number} digit - Whole seconds remaining
+     */
+    updateDigit(digit) {
+        if (digit === this.lastDigit || digit < 1) return;
+        this.lastDigit = digit;
+        
+        const el = this.overlay.querySelector('.new-year-digit');
+        el.textContent = digit;
+        
+        // Restart the pop animation
+        el.classList.remove('pop');
+        el.offsetHeight; // Force reflow
+        el.classList.add('pop');
+    }
+    
+    /**
+     * Zero: arrive in the new year and celebrate
+     */
+    async arrive() {
+        this.stage = 'celebration';
+        console.log('🎆 HAPPY NEW YEAR!');
+        
+        // In case the tab slept through the final minute
+        chimesManager.suppress(true);
+        
+        if (this.overlay) this.overlay.innerHTML = '';
+        
+        const key = this.timeMachine.findEra(COUNTDOWN_CONFIG.arrivalEra);
+        if (key) {
+            if (wormholeManager.isRunning()) {
+                if (this.timeMachine.pendingYearKey !== key) this.timeMachine.redirectTimeTravel(key);
+                await this.timeMachine.completeTimeTravel();
+            } else {
+                await this.timeMachine.goToYear(key, true);
+            }
+        }
+        
+        this.celebrate();
+    }
+    
+    /**
+     * Celebration overlay with firework bursts
+     */
+    celebrate() {
+        if (!this.overlay) {
+            this.overlay = document.createElement('div');
+            this.overlay.id = 'new-year-overlay';
+            document.body.appendChild(this.overlay);
+        }
+        
+        const { year } = timeKeeper.getParts(this.target);
+        const bursts = Array.from({ length: 12 }, (_, i) => {
+            const x = 10 + Math.random() * 80;
+            const y = 10 + Math.random() * 60;
+            const hue = Math.floor(Math.random() * 360);
+            return `<div class="new-year-burst" style="left: ${x}%; top: ${y}%; --burst-hue: ${hue}; animation-delay: ${(i * 0.35).toFixed(2)}s"></div>`;
+        }).join('');
+        
+        this.overlay.className = 'celebrating';
+        this.overlay.innerHTML = `
+            ${bursts}
+            <div class="new-year-message">
+                <div class="new-year-title">HAPPY NEW YEAR</div>
+                <div class="new-year-year">${year}</div>
+            </div>
+        `;
+        
+        this.celebrationTimeout = setTimeout(() => this.endCelebration(), COUNTDOWN_CONFIG.celebrationSeconds * 1000);
+    }
+    
+    /**
+     * Wrap up and hand the hour back to the chimes
+     */
+    endCelebration() {
+        const targetTime = timeKeeper.getParts(this.target);
+        const chimeHour = targetTime.minutes === 0 ? targetTime.hours : null;
+        
+        this.reset();
+        
+        if (COUNTDOWN_CONFIG.chimeAfterCelebration && chimeHour !== null) {
+            chimesManager.chime(chimesManager.getChimeCount(chimeHour));
+        }
+        
+        // Re-arm for next year unless a fixed target was configured
+        const previousTarget = this.target;
+        this.target = this.getTarget();
+        if (this.target.getTime() <= previousTarget.getTime()) {
+            this.target = null;
+        }
+    }
+    
+    /**
+     * Return to idle and clean up
+     */
+    reset() {
+        this.stage = 'idle';
+        this.lastDigit = null;
+        
+        if (this.frameId) {
+            cancelAnimationFrame(this.frameId);
+            this.frameId = null;
+        }
+        if (this.celebrationTimeout) {
+            clearTimeout(this.celebrationTimeout);
+            this.celebrationTimeout = null;
+        }
+        if (this.overlay) {
+            this.overlay.remove();
+            this.overlay = null;
+        }
+        
+        document.body.classList.remove('new-year-final');
+        chimesManager.suppress(false);
+    }
+}
+
+// Global instance
+const countdownManager = new CountdownManager();
@@ -0,0 +1,26 @@
+/**
+ * Era Defaults
+ * How an eras.json entry's optional fields are filled in. The app
+ * (js/app.js) and the preflight checks (js/preflight.js) both use this, so
+ * they look for an era's slides and facts in the same place.
+ */
+
+/**
+ * Key, year, suffix, folder, facts file and display name for a registry entry
+ * @param {Object} era - Raw entry from eras.json
+ * @returns {Object} { key, year, era, folder, facts, display }
+ */
+function eraDefaults(era) {
+    const year = String(era.year);
+    const suffix = era.era || 'CE';
+    const folder = era.folder || (suffix === 'CE' ? year : `${year}${suffix}`.toLowerCase());
+    
+    return {
+        key: String(era.key),
+        year: year,
+        era: suffix,
+        folder: folder,
+        facts: era.facts || `facts/${folder}.txt`,
+        display: era.label || `${year} ${suffix}`
+    };
+}
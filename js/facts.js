@@ -0,0 +1,203 @@
+/**
+ * Facts Library
+ * Loads each era's ticker facts and decides their running order.
+ *
+ * Two formats are supported:
+ *   facts/1751.txt    one fact per line (blank lines ignored)
+ *   facts/<era>.json  structured entries with optional metadata:
+ *     { "facts": [
+ *         { "id": "moon", "text": "...", "category": "history",
+ *           "weight": 3, "source": "NASA", "pinned": true },
+ *         { "text": "Tonight...", "date": "12-31" },
+ *         "A plain string works too."
+ *     ] }
+ *
+ * Pinned facts run first, in file order; the rest are shuffled with
+ * heavier-weighted facts more likely to come early. Weight 0 hides a fact.
+ *
+ * "On this day" facts carry a "date" ("MM-DD", or a list of them) or a
+ * "month" (1-12, or a list). They only run when the home time zone's date
+ * matches: date matches right after the pinned facts, month matches mixed
+ * into the general pool with extra weight.
+ */
+
+// Configuration
+const FACTS_CONFIG = {
+    showSources: false,       // Append "(source)" to facts that cite one
+    defaultWeight: 1,
+    monthWeightBoost: 3       // Weight multiplier for facts keyed to the current month
+};
+
+class FactsManager {
+    /**
+     * Load and parse one era's facts file
+     * @param {string} url - Path to a .txt or .json facts file
+     * @returns {Promise<Array<Object>>} Normalized facts
+     */
+    async load(url) {
+        const response = await fetch(url);
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        return this.parse(await response.text(), url);
+    }
+    
+    /**
+     * Parse facts file contents
+     * .json files are JSON; anything else is one fact per line, even if a line starts with [ or {
+     */
+    parse(text, url = '') {
+        if (/\.json$/i.test(url)) {
+            const data = JSON.parse(text);
+            const entries = Array.isArray(data) ? data : (data.facts || []);
+            return entries.map((entry, i) => this.normalizeFact(entry, i)).filter(Boolean);
+        }
+        
+        return this.fromLines(text.split('\n'));
+    }
+    
+    /**
+     * Plain text lines to facts
+     * @param {Array<string>} lines
+     */
+    fromLines(lines) {
+        return lines
+            .map(line => line.trim())
+            .filter(line => line.length > 0)
+            .map((line, i) => this.normalizeFact(line, i));
+    }
+    
+    /**
+     * Fill in defaults for a fact entry
+     * @param {string|Object} entry - Plain text or structured fact
+     * @param {number} index - Position in the file (used for ids)
+     * @returns {Object|null} { id, text, category, weight, source, pinned, dates, months } or null if empty
+     */
+    normalizeFact(entry, index) {
+        const fact = typeof entry === 'string' ? { text: entry } : entry;
+        if (!fact || typeof fact.text !== 'string' || !fact.text.trim()) return null;
+        
+        const weight = Number(fact.weight);
+        const id = fact.id !== undefined ? String(fact.id) : String(index + 1);
+        
+        // A fact meant for certain days must not fall back to running every day
+        const dates = this.parseDates(fact.date);
+        const months = this.parseMonths(fact.month);
+        if ((fact.date !== undefined && !dates) || (fact.month !== undefined && !months)) {
+            console.warn(`⚠️ Dropping fact ${id}: no valid date in ${JSON.stringify(fact.date !== undefined ? fact.date : fact.month)}`);
+            return null;
+        }
+        
+        return {
+            ...fact,
+            id: id,
+            text: fact.text.trim(),
+            category: fact.category || null,
+            weight: isNaN(weight) || fact.weight === undefined ? FACTS_CONFIG.defaultWeight : Math.max(0, weight),
+            source: fact.source || null,
+            pinned: !!fact.pinned,
+            dates: dates,
+            months: months
+        };
+    }
+    
+    /**
+     * Running order for the ticker: pinned first, then today's facts,
+     * then a weighted shuffle of the rest
+     * @param {Array<Object>} facts - Normalized facts
+     * @param {Object} today - { month, day } (defaults to today in the home time zone)
+     * @returns {Array<Object>}
+     */
+    orderForTicker(facts, today = timeKeeper.getParts()) {
+        const visible = facts.filter(fact => fact.weight > 0 && this.isShownOn(fact, today));
+        const pinned = visible.filter(fact => fact.pinned);
+        const unpinned = visible.filter(fact => !fact.pinned);
+        
+        const onThisDay = unpinned.filter(fact => fact.dates);
+        const general = unpinned
+            .filter(fact => !fact.dates)
+            .map(fact => fact.months
+                ? { ...fact, weight: fact.weight * FACTS_CONFIG.monthWeightBoost }
+                : fact);
+        
+        return [...pinned, ...this.weightedShuffle(onThisDay), ...this.weightedShuffle(general)];
+    }
+    
+    /**
+     * Whether a fact runs on a given day (undated facts always do)
+     */
+    isShownOn(fact, { month, day }) {
+        if (fact.dates) {
+            return fact.dates.some(date => date.month === month && date.day === day);
+        }
+        if (fact.months) {
+            return fact.months.includes(month);
+        }
+        return true;
+    }
+    
+    /**
+     * Weighted random permutation: sort by random^(1/weight), highest first
+     */
+    weightedShuffle(facts) {
+        return facts
+            .map(fact => ({ fact, key: Math.pow(Math.random(), 1 / fact.weight) }))
+            .sort((a, b) => b.key - a.key)
+            .map(({ fact }) => fact);
+    }
+    
+    /**
+     * Parse a fact's "date" field into [{ month, day }]
+     * @param {string|Array<string>} value - "MM-DD" or a list of them
+     * @returns {Array<Object>|null}
+     */
+    parseDates(value) {
+        if (value === undefined || value === null) return null;
+        
+        const dates = [];
+        for (const date of Array.isArray(value) ? value : [value]) {
+            const match = String(date).match(/^(\d{1,2})-(\d{1,2})$/);
+            const month = match ? parseInt(match[1], 10) : 0;
+            const day = match ? parseInt(match[2], 10) : 0;
+            
+            // Checked against a leap year so 02-29 is allowed
+            if (month >= 1 && month <= 12 && day >= 1 && day <= new Date(2024, month, 0).getDate()) {
+                dates.push({ month, day });
+            } else {
+                console.warn(`⚠️ Ignoring fact date "${date}" (expected "MM-DD")`);
+            }
+        }
+        
+        return dates.length > 0 ? dates : null;
+    }
+    
+    /**
+     * Parse a fact's "month" field into [1-12]
+     * @param {number|Array<number>} value
+     * @returns {Array<number>|null}
+     */
+    parseMonths(value) {
+        if (value === undefined || value === null) return null;
+        
+        const months = [];
+        for (const month of Array.isArray(value) ? value : [value]) {
+            if (Number.isInteger(Number(month)) && month >= 1 && month <= 12) {
+                months.push(Number(month));
+            } else {
+                console.warn(`⚠️ Ignoring fact month "${month}" (expected 1-12)`);
+            }
+        }
+        
+        return months.length > 0 ? months : null;
+    }
+    
+    /**
+     * Text shown in the ticker for a fact
+     */
+    formatFact(fact) {
+        return FACTS_CONFIG.showSources && fact.source
+            ? `${fact.text} (${fact.source})`
+            : fact.text;
+    }
+}
+
+// Global instance
+const factsManager = new FactsManager();
@@ -118,9 +118,7 @@ class GlitchManager {
      * Trigger a random enabled glitch effect
      */
     triggerRandomGlitch() {
-        const enabledEffects = Object.entries(this.effects)
-            .filter(([_, enabled]) => enabled)
-            .map(([name, _]) => name);
+        const enabledEffects = this.getEnabledEffects();
         
         if (enabledEffects.length === 0) return;
         
@@ -147,6 +145,15 @@ class GlitchManager {
         }
     }
     
+    /**
+     * Names of the effects that are switched on
+     */
+    getEnabledEffects() {
+        return Object.entries(this.effects)
+            .filter(([_, enabled]) => enabled)
+            .map(([name, _]) => name);
+    }
+    
     /**
      * Screen flicker effect - multiple brightness/opacity pulses
      */
@@ -249,14 +256,14 @@ class GlitchManager {
     
     /**
      * Scramble an element's text with multiple iterations
+     * Stops without restoring if something else (e.g. arriving in a new era)
+     * changes the text mid-scramble, so stale text is never put back.
+     * Animated text (the counting year display) keeps its settled value in
+     * data-original-text, which is restored instead of a half-counted year.
      */
     scrambleElement(element) {
-        // Store original text if not already stored
-        if (!element.dataset.originalText) {
-            element.dataset.originalText = element.textContent;
-        }
-        
-        const originalText = element.dataset.originalText;
+        const originalText = element.dataset.originalText || element.textContent;
+        let writtenText = null;
         
         // Mark as scrambling
         element.dataset.scrambling = 'true';
@@ -268,6 +275,13 @@ class GlitchManager {
         let count = 0;
         
         const interval = setInterval(() => {
+            // Text replaced underneath us - leave the new text alone
+            if (writtenText !== null && element.textContent !== writtenText) {
+                clearInterval(interval);
+                element.dataset.scrambling = 'false';
+                return;
+            }
+            
             // Calculate progress (0 to 1)
             const progress = count / iterations;
             
@@ -284,6 +298,7 @@ class GlitchManager {
                     return char;
                 })
                 .join('');
+            writtenText = element.textContent;
             
             count++;
             
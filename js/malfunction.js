@@ -0,0 +1,227 @@
+/**
+ * Navigation Malfunction
+ * Optional chaos mode: partway through some jumps the wormhole veers off
+ * toward the wrong era. Alarms sound, the destination flickers and the status
+ * bar counts down to an automatic course correction. Pressing Space before
+ * then accepts the detour and arrives in the wrong era.
+ *
+ * Enable with MALFUNCTION_CONFIG.enabled or the ?malfunction URL parameter
+ * (?malfunction=0.5 also sets the probability).
+ */
+
+// Configuration
+const MALFUNCTION_CONFIG = {
+    enabled: false,
+    probability: 0.3,         // Chance that any given jump misroutes
+    minDelaySeconds: 3,       // Malfunction strikes this long into the jump...
+    maxDelaySeconds: 8,       // ...at the latest
+    correctionSeconds: 10,    // Time before the course corrects itself
+    alarmIntervalMs: 1600     // Gap between alarm blasts
+};
+
+class MalfunctionManager {
+    constructor() {
+        this.timeMachine = null;
+        this.intendedKey = null;    // Where the jump was meant to go
+        this.detourKey = null;      // Where it's veered off to
+        this.triggerTimeout = null;
+        this.redirectTimeout = null;
+        this.alarmInterval = null;
+        this.countdownInterval = null;
+        this.correctAt = 0;
+        this.statusHeld = false;    // Status bar is ours until arrival
+        
+        this.container = document.getElementById('wormhole-container');
+        this.destinationYear = document.getElementById('destination-year');
+        this.statusIndicator = document.getElementById('status-indicator');
+        this.statusText = document.getElementById('status-text');
+        
+        // A ?malfunction[=probability] URL parameter turns the mode on
+        const params = new URLSearchParams(window.location.search);
+        if (params.has('malfunction')) {
+            this.enabled = true;
+            const probability = parseFloat(params.get('malfunction'));
+            this.probability = isNaN(probability) ? MALFUNCTION_CONFIG.probability : probability;
+        } else {
+            this.enabled = MALFUNCTION_CONFIG.enabled;
+            this.probability = MALFUNCTION_CONFIG.probability;
+        }
+    }
+    
+    /**
+     * Maybe schedule a malfunction for a jump that just started
+     * @param {TimeMachine} timeMachine - The display's time machine
+     * @param {string} yearKey - The jump's intended destination
+     */
+    arm(timeMachine, yearKey) {
+        this.reset();
+        if (!this.enabled || Math.random() >= this.probability) return;
+        
+        this.timeMachine = timeMachine;
+        this.intendedKey = yearKey;
+        
+        const delay = MALFUNCTION_CONFIG.minDelaySeconds
+            + Math.random() * (MALFUNCTION_CONFIG.maxDelaySeconds - MALFUNCTION_CONFIG.minDelaySeconds);
+        this.triggerTimeout = setTimeout(() => this.trigger(), delay * 1000);
+    }
+    
+    /**
+     * Veer off course
+     */
+    trigger() {
+        this.triggerTimeout = null;
+        
+        // Never mess with the New Year, or a jump that's already over or been redirected
+        if (countdownManager.isActive() || !wormholeManager.isRunning()
+            || this.timeMachine.pendingYearKey !== this.intendedKey) {
+            this.intendedKey = null;
+            return;
+        }
+        
+        const choices = Object.keys(this.timeMachine.years)
+            .filter(key => key !== this.intendedKey && key !== this.timeMachine.currentYearKey);
+        if (choices.length === 0) {
+            this.intendedKey = null;
+            return;
+        }
+        
+        this.detourKey = choices[Math.floor(Math.random() * choices.length)];
+        const detour = this.timeMachine.years[this.detourKey];
+        console.log(`🚨 Navigation malfunction! Veering toward ${detour.display}`);
+        
+        // Destination garbles, then settles on the wrong era
+        glitchManager.scrambleElement(this.destinationYear);
+        glitchManager.trigger('rgbSplit');
+        this.redirectTimeout = setTimeout(() => {
+            this.redirectTimeout = null;
+            if (this.detourKey) this.timeMachine.redirectTimeTravel(this.detourKey);
+        }, 600);
+        this.statusHeld = true;
+        
+        this.container.classList.add('misrouted');
+        this.statusIndicator.classList.add('status-alert');
+        
+        this.soundAlarm();
+        this.alarmInterval = setInterval(() => this.soundAlarm(), MALFUNCTION_CONFIG.alarmIntervalMs);
+        
+        this.correctAt = Date.now() + MALFUNCTION_CONFIG.correctionSeconds * 1000;
+        this.updateStatus();
+        this.countdownInterval = setInterval(() => {
+            if (countdownManager.isActive()) {
+                // The New Year sequence has taken the helm
+                this.reset();
+            } else if (Date.now() >= this.correctAt) {
+                this.correct();
+            } else {
+                this.updateStatus();
+            }
+        }, 250);
+    }
+    
+    /**
+     * Alarm blast plus a glitch
+     */
+    soundAlarm() {
+        if (typeof audioSynth !== 'undefined') {
+            audioSynth.playAlarm();
+        }
+        glitchManager.trigger(Math.random() < 0.5 ? 'rgbSplit' : 'logoShake');
+    }
+    
+    /**
+     * Status bar countdown to the correction
+     */
+    updateStatus() {
+        const seconds = Math.max(0, Math.ceil((this.correctAt - Date.now()) / 1000));
+        this.statusText.textContent = `NAVIGATION MALFUNCTION - COURSE CORRECTION IN ${seconds}s`;
+    }
+    
+    /**
+     * Steer back to the intended era and carry on the jump
+     */
+    correct() {
+        const intendedKey = this.intendedKey;
+        this.stopEffects();
+        this.intendedKey = null;
+        this.detourKey = null;
+        
+        if (!wormholeManager.isRunning()) {
+            this.statusHeld = false;
+            return;
+        }
+        
+        console.log(`🧭 Course corrected to ${this.timeMachine.years[intendedKey].display}`);
+        this.timeMachine.redirectTimeTravel(intendedKey);
+        this.statusText.textContent = 'COURSE CORRECTED - TEMPORAL TRANSIT IN PROGRESS';
+        glitchManager.trigger('rgbSplit');
+    }
+    
+    /**
+     * Called on arrival: a detour taken is a detour accepted
+     */
+    onArrival() {
+        if (this.detourKey) {
+            console.log('🚨 Detour accepted');
+        }
+        this.reset();
+    }
+    
+    /**
+     * Cancel anything pending and clear the alarm state
+     */
+    reset() {
+        if (this.triggerTimeout) {
+            clearTimeout(this.triggerTimeout);
+            this.triggerTimeout = null;
+        }
+        if (this.redirectTimeout) {
+            clearTimeout(this.redirectTimeout);
+            this.redirectTimeout = null;
+        }
+        this.stopEffects();
+        this.intendedKey = null;
+        this.detourKey = null;
+        this.statusHeld = false;
+    }
+    
+    /**
+     * Silence alarms and drop the visual alert
+     */
+    stopEffects() {
+        if (this.alarmInterval) {
+            clearInterval(this.alarmInterval);
+            this.alarmInterval = null;
+        }
+        if (this.countdownInterval) {
+            clearInterval(this.countdownInterval);
+            this.countdownInterval = null;
+        }
+        this.container.classList.remove('misrouted');
+        this.statusIndicator.classList.remove('status-alert');
+    }
+    
+    /**
+     * Whether a detour is in progress
+     */
+    isActive() {
+        return this.detourKey !== null;
+    }
+    
+    /**
+     * Whether the alarm or correction message owns the status bar
+     */
+    holdsStatus() {
+        return this.statusHeld;
+    }
+    
+    /**
+     * Whether the destination is still flickering toward the detour
+     * Arrival waits for it so a quick key press can't skip the malfunction
+     */
+    isRedirecting() {
+        return this.redirectTimeout !== null;
+    }
+}
+
+// Global instance
+const malfunctionManager = new MalfunctionManager();
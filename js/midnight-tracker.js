@@ -0,0 +1,197 @@
+/**
+ * Global Midnight Tracker
+ * Marks each major time zone's New Year as it happens through the evening:
+ * a short overlay, a distinct chime pattern and a burst of glitches, plus a
+ * ticker announcement listing the cities that have crossed over so far. The
+ * list is repeated every few minutes until a while after the last city.
+ *
+ * The home time zone's own midnight belongs to the New Year countdown
+ * (js/countdown.js), so cities that share it are counted but not announced.
+ */
+
+// Configuration
+const MIDNIGHT_TRACKER_CONFIG = {
+    enabled: true,
+    overlaySeconds: 8,          // How long each "HAPPY NEW YEAR, CITY" overlay stays up
+    glitchBurst: 4,             // Glitches fired per city
+    lateGraceMinutes: 10,       // Still announce a city this long after its midnight
+    tickerEveryMinutes: 5,      // Repeat the crossed-cities list on the ticker this often
+    tickerHoursAfter: 2,        // Keep repeating it this long after the last city crosses
+    cities: [
+        { name: 'AUCKLAND', timeZone: 'Pacific/Auckland' },
+        { name: 'SYDNEY', timeZone: 'Australia/Sydney' },
+        { name: 'TOKYO', timeZone: 'Asia/Tokyo' },
+        { name: 'HONG KONG', timeZone: 'Asia/Hong_Kong' },
+        { name: 'MUMBAI', timeZone: 'Asia/Kolkata' },
+        { name: 'DUBAI', timeZone: 'Asia/Dubai' },
+        { name: 'MOSCOW', timeZone: 'Europe/Moscow' },
+        { name: 'PARIS', timeZone: 'Europe/Paris' },
+        { name: 'LONDON', timeZone: 'Europe/London' },
+        { name: 'RIO DE JANEIRO', timeZone: 'America/Sao_Paulo' },
+        { name: 'NEW YORK', timeZone: 'America/New_York' },
+        { name: 'CHICAGO', timeZone: 'America/Chicago' },
+        { name: 'DENVER', timeZone: 'America/Denver' },
+        { name: 'LOS ANGELES', timeZone: 'America/Los_Angeles' },
+        { name: 'HONOLULU', timeZone: 'Pacific/Honolulu' }
+    ]
+};
+
+class MidnightTracker {
+    constructor() {
+        this.year = null;
+        this.cities = [];           // [{ name, timeZone, midnight, announced, isHome }]
+        this.queue = [];            // Cities waiting for their overlay
+        this.checkInterval = null;
+        this.overlay = null;
+        this.isShowing = false;
+        this.lastTickerAt = 0;      // When the crossed-cities list last went to the ticker
+    }
+    
+    /**
+     * Work out every city's midnight and start checking
+     */
+    start() {
+        if (!MIDNIGHT_TRACKER_CONFIG.enabled) return;
+        
+        this.year = this.getNewYear();
+        const homeMidnight = timeKeeper.zonedTime(this.year, 1, 1).getTime();
+        
+        this.cities = MIDNIGHT_TRACKER_CONFIG.cities
+            .filter(city => timeKeeper.validateZone(city.timeZone))
+            .map(city => {
+                const midnight = timeKeeper.zonedTime(this.year, 1, 1, 0, 0, 0, city.timeZone).getTime();
+                return {
+                    ...city,
+                    midnight,
+                    isHome: midnight === homeMidnight,
+                    // Anything already past its grace window counts as done
+                    announced: Date.now() - midnight > MIDNIGHT_TRACKER_CONFIG.lateGraceMinutes * 60 * 1000
+                };
+            })
+            .sort((a, b) => a.midnight - b.midnight);
+        
+        this.check();
+        this.checkInterval = setInterval(() => this.check(), 1000);
+        
+        console.log(`🌍 Midnight tracker armed for ${this.cities.length} cities (New Year ${this.year})`);
+    }
+    
+    /**
+     * The New Year being celebrated: this one during January, otherwise the next
+     */
+    getNewYear() {
+        const { year, month } = timeKeeper.getParts();
+        return month === 1 ? year : year + 1;
+    }
+    
+    /**
+     * Cities whose midnight has passed
+     */
+    getCrossed(now = Date.now()) {
+        return this.cities.filter(city => city.midnight <= now);
+    }
+    
+    /**
+     * Queue newly crossed cities and keep the ticker's list current
+     */
+    check() {
+        const now = Date.now();
+        let newlyCrossed = false;
+        
+        for (const city of this.cities) {
+            if (city.announced || city.midnight > now) continue;
+            
+            city.announced = true;
+            newlyCrossed = true;
+            if (city.isHome) continue; // The countdown handles this one
+            
+            console.log(`🌍 Midnight in ${city.name}`);
+            this.queue.push(city);
+        }
+        
+        this.showNext();
+        this.updateTicker(now, newlyCrossed);
+    }
+    
+    /**
+     * Announce the next queued city, waiting out chimes and the countdown
+     */
+    showNext() {
+        if (this.isShowing || this.queue.length === 0) return;
+        if (chimesManager.isChiming || countdownManager.isActive()) return;
+        
+        const city = this.queue.shift();
+        
+        // Too late by the time we got to it - count it quietly
+        const late = Date.now() - city.midnight;
+        if (late > MIDNIGHT_TRACKER_CONFIG.lateGraceMinutes * 60 * 1000) return;
+        
+        this.celebrate(city);
+    }
+    
+    /**
+     * Overlay, chime pattern and glitch burst for one city
+     */
+    celebrate(city) {
+        this.isShowing = true;
+        
+        if (!this.overlay) {
+            this.overlay = document.createElement('div');
+            this.overlay.id = 'midnight-overlay';
+            document.body.appendChild(this.overlay);
+        }
+        
+        const crossed = this.getCrossed().length;
+        this.overlay.innerHTML = `
+            <div class="midnight-overlay-title"></div>
+            <div class="midnight-overlay-detail"></div>
+        `;
+        this.overlay.querySelector('.midnight-overlay-title').textContent = `HAPPY NEW YEAR, ${city.name}`;
+        this.overlay.querySelector('.midnight-overlay-detail').textContent =
+            `${crossed} OF ${this.cities.length} CITIES HAVE CROSSED INTO ${this.year}`;
+        this.overlay.classList.add('visible');
+        
+        chimesManager.chimePattern();
+        
+        for (let i = 0; i < MIDNIGHT_TRACKER_CONFIG.glitchBurst; i++) {
+            setTimeout(() => glitchManager.triggerRandomGlitch(), i * 300);
+        }
+        
+        setTimeout(() => {
+            this.overlay.classList.remove('visible');
+            this.isShowing = false;
+        }, MIDNIGHT_TRACKER_CONFIG.overlaySeconds * 1000);
+    }
+    
+    /**
+     * Send the crossed cities to the ticker: right away when one crosses,
+     * otherwise every tickerEveryMinutes while the evening is on
+     */
+    updateTicker(now, immediately) {
+        const crossed = this.getCrossed(now);
+        const last = this.cities[this.cities.length - 1];
+        if (crossed.length === 0
+            || now - last.midnight >= MIDNIGHT_TRACKER_CONFIG.tickerHoursAfter * 60 * 60 * 1000) return;
+        
+        if (!immediately && now - this.lastTickerAt < MIDNIGHT_TRACKER_CONFIG.tickerEveryMinutes * 60 * 1000) return;
+        this.lastTickerAt = now;
+        
+        const names = crossed.map(city => city.name).join(', ');
+        const next = this.cities.find(city => city.midnight > now);
+        factsTicker.announce(`🌍 ${crossed.length} OF ${this.cities.length} CITIES IN ${this.year}: ${names}` +
+            (next ? ` - NEXT: ${next.name} IN ${this.formatRemaining(next.midnight - now)}` : ''));
+    }
+    
+    /**
+     * Format milliseconds as "2 HR 05 MIN" or "45 MIN" (rounded up)
+     */
+    formatRemaining(ms) {
+        const total = Math.ceil(ms / 60000);
+        const hours = Math.floor(total / 60);
+        const minutes = total % 60;
+        return hours > 0 ? `${hours} HR ${minutes.toString().padStart(2, '0')} MIN` : `${minutes} MIN`;
+    }
+}
+
+// Global instance
+const midnightTracker = new MidnightTracker();
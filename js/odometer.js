@@ -0,0 +1,223 @@
+/**
+ * Temporal Odometer
+ * Rolls the year from departure to destination while in the wormhole, then
+ * slows and locks on arrival. Also counts #year-display over to the new era.
+ *
+ * Years are handled on the astronomical scale internally (1 BCE = 0,
+ * 2 BCE = -1) so rolling across the CE/BCE boundary never shows a year zero.
+ */
+
+// Configuration
+const ODOMETER_CONFIG = {
+    cruiseSeconds: 6,         // Time to roll most of the way there (rate follows jump size)
+    cruiseFraction: 0.9,      // Share of the jump covered before hunting around the target
+    huntYears: 3,             // Minimum swing while hunting for the lock
+    lockMs: 900,              // Slow-down when arrival is triggered
+    arrivalCountMs: 1200      // #year-display count on arrival
+};
+
+class YearOdometer {
+    constructor() {
+        this.yearElement = document.getElementById('odometer-year');
+        this.eraElement = document.getElementById('odometer-era');
+        
+        this.from = null;         // Astronomical years
+        this.to = null;
+        this.value = null;        // Year currently shown (fractional)
+        this.startTime = 0;
+        this.frameId = null;
+        this.countFrameId = null;
+    }
+    
+    /**
+     * Convert an era's year and suffix to an astronomical year
+     * @returns {number|null} null if the year isn't numeric
+     */
+    toAstronomical(year, era) {
+        const number = parseInt(year, 10);
+        if (isNaN(number)) return null;
+        return /^B/i.test(era) ? 1 - number : number;
+    }
+    
+    /**
+     * Convert an astronomical year back to { year, era } for display
+     */
+    fromAstronomical(value) {
+        const whole = Math.round(value);
+        return whole <= 0
+            ? { year: String(1 - whole), era: 'BCE' }
+            : { year: String(whole), era: 'CE' };
+    }
+    
+    /**
+     * Start rolling toward a destination
+     * @param {Object} departure - Era config we're leaving
+     * @param {Object} destination - Era config we're heading to
+     */
+    start(departure, destination) {
+        this.stop();
+        
+        this.to = this.toAstronomical(destination.year, destination.era);
+        this.from = departure ? this.toAstronomical(departure.year, departure.era) : null;
+        if (this.from === null) this.from = this.to;
+        
+        // Nothing numeric to roll - just show the destination
+        if (this.to === null) {
+            this.show(destination.year, destination.era);
+            return;
+        }
+        
+        this.value = this.from;
+        this.startTime = performance.now();
+        this.render();
+        
+        const frame = (now) => {
+            this.cruise(now);
+            this.frameId = requestAnimationFrame(frame);
+        };
+        this.frameId = requestAnimationFrame(frame);
+    }
+    
+    /**
+     * Change destination mid-transit, rolling on from wherever we are
+     * @param {Object} destination - New era config
+     */
+    retarget(destination) {
+        const to = this.toAstronomical(destination.year, destination.era);
+        if (to === null || this.value === null) {
+            this.start(null, destination);
+            return;
+        }
+        
+        this.from = this.value;
+        this.to = to;
+        this.startTime = performance.now();
+    }
+    
+    /**
+     * Roll most of the way at a rate set by the jump size, then hunt around the target
+     */
+    cruise(now) {
+        const elapsed = (now - this.startTime) / 1000;
+        const span = this.to - this.from;
+        const cruiseEnd = ODOMETER_CONFIG.cruiseSeconds;
+        
+        if (elapsed < cruiseEnd) {
+            // Ease out toward the cruise fraction of the jump
+            const t = elapsed / cruiseEnd;
+            const eased = 1 - Math.pow(1 - t, 2);
+            this.value = this.from + span * ODOMETER_CONFIG.cruiseFraction * eased;
+        } else {
+            // Swing either side of the target, never quite settling
+            const remaining = span * (1 - ODOMETER_CONFIG.cruiseFraction);
+            const swing = Math.max(Math.abs(remaining), ODOMETER_CONFIG.huntYears);
+            this.value = this.to - Math.sign(span || 1) * swing * Math.cos((elapsed - cruiseEnd) * 1.5);
+        }
+        
+        this.render();
+    }
+    
+    /**
+     * Slow down and lock on the destination
+     * @returns {Promise} Resolves once locked
+     */
+    lock() {
+        if (this.frameId) {
+            cancelAnimationFrame(this.frameId);
+            this.frameId = null;
+        }
+        if (this.to === null || this.value === null) return Promise.resolve();
+        
+        const from = this.value;
+        const to = this.to;
+        
+        return new Promise(resolve => {
+            const start = performance.now();
+            const frame = (now) => {
+                const t = Math.min((now - start) / ODOMETER_CONFIG.lockMs, 1);
+                this.value = from + (to - from) * (1 - Math.pow(1 - t, 3));
+                this.render();
+                
+                if (t < 1) {
+                    this.frameId = requestAnimationFrame(frame);
+                } else {
+                    this.frameId = null;
+                    resolve();
+                }
+            };
+            this.frameId = requestAnimationFrame(frame);
+        });
+    }
+    
+    /**
+     * Stop rolling without locking
+     */
+    stop() {
+        if (this.frameId) {
+            cancelAnimationFrame(this.frameId);
+            this.frameId = null;
+        }
+    }
+    
+    /**
+     * Draw the current value in the transit odometer
+     */
+    render() {
+        const { year, era } = this.fromAstronomical(this.value);
+        this.show(year, era);
+    }
+    
+    /**
+     * Set the odometer text if it changed
+     */
+    show(year, era) {
+        if (!this.yearElement) return;
+        if (this.yearElement.textContent !== year) this.yearElement.textContent = year;
+        if (this.eraElement && this.eraElement.textContent !== era) this.eraElement.textContent = era;
+    }
+    
+    /**
+     * Count a year display from one era to another
+     * @param {HTMLElement} yearElement - Element showing the year number
+     * @param {HTMLElement} eraElement - Element showing CE/BCE
+     * @param {Object} from - Era config being left (may be null)
+     * @param {Object} to - Era config arrived at
+     * @returns {boolean} false if the years can't be counted (caller should just set the text)
+     */
+    countTo(yearElement, eraElement, from, to) {
+        const start = from ? this.toAstronomical(from.year, from.era) : null;
+        const end = this.toAstronomical(to.year, to.era);
+        if (start === null || end === null || start === end) return false;
+        
+        this.stopCount();
+        
+        const began = performance.now();
+        const frame = (now) => {
+            const t = Math.min((now - began) / ODOMETER_CONFIG.arrivalCountMs, 1);
+            const value = start + (end - start) * (1 - Math.pow(1 - t, 3));
+            
+            // Land on the era's own labels (e.g. "AD") rather than the generic ones
+            const display = t < 1 ? this.fromAstronomical(value) : { year: to.year, era: to.era };
+            if (yearElement.textContent !== display.year) yearElement.textContent = display.year;
+            if (eraElement.textContent !== display.era) eraElement.textContent = display.era;
+            
+            this.countFrameId = t < 1 ? requestAnimationFrame(frame) : null;
+        };
+        this.countFrameId = requestAnimationFrame(frame);
+        
+        return true;
+    }
+    
+    /**
+     * Cancel a year display count in progress
+     */
+    stopCount() {
+        if (this.countFrameId) {
+            cancelAnimationFrame(this.countFrameId);
+            this.countFrameId = null;
+        }
+    }
+}
+
+// Global instance
+const yearOdometer = new YearOdometer();
@@ -0,0 +1,93 @@
+/**
+ * Operator Link
+ * Connects the display window to the operator console (operator.html)
+ * over a BroadcastChannel so the host can drive the show from a second screen
+ *
+ * Protocol (all messages are plain objects):
+ *   operator -> display  { type: 'hello' }                      request a state update
+ *   operator -> display  { type: 'command', command, ... }      see TimeMachine.handleCommand()
+ *   display -> operator  { type: 'state', state }               see TimeMachine.getState()
+ */
+
+const OPERATOR_CHANNEL = 'temporal-navigation-operator';
+
+class OperatorLink {
+    constructor() {
+        this.channel = null;
+        this.timeMachine = null;
+        this.heartbeatInterval = null;
+        
+        // State is re-broadcast on this interval so the console can tell
+        // the display is still alive (and keep the chime countdown fresh)
+        this.heartbeatTime = 1000;
+    }
+    
+    /**
+     * Open the channel and start publishing state
+     * @param {TimeMachine} timeMachine - The display's time machine
+     */
+    start(timeMachine) {
+        if (typeof BroadcastChannel === 'undefined') {
+            console.warn('⚠️ BroadcastChannel not supported, operator console disabled');
+            return;
+        }
+        
+        this.timeMachine = timeMachine;
+        this.channel = new BroadcastChannel(OPERATOR_CHANNEL);
+        this.channel.onmessage = (e) => this.onMessage(e.data);
+        
+        timeMachine.onStateChange(state => this.publishState(state));
+        
+        this.heartbeatInterval = setInterval(() => this.publishState(), this.heartbeatTime);
+        
+        console.log('🎛️ Operator link open');
+    }
+    
+    /**
+     * Close the channel
+     */
+    stop() {
+        if (this.heartbeatInterval) {
+            clearInterval(this.heartbeatInterval);
+            this.heartbeatInterval = null;
+        }
+        if (this.channel) {
+            this.channel.close();
+            this.channel = null;
+        }
+    }
+    
+    /**
+     * Handle a message from the operator console
+     */
+    onMessage(message) {
+        if (!message || !this.timeMachine) return;
+        
+        switch (message.type) {
+            case 'hello':
+                this.publishState();
+                break;
+            case 'command':
+                console.log(`🎛️ Operator command: ${message.command}`);
+                this.timeMachine.handleCommand(message);
+                this.publishState();
+                break;
+        }
+    }
+    
+    /**
+     * Send the current state to the operator console
+     * @param {Object} state - Optional precomputed state
+     */
+    publishState(state = null) {
+        if (!this.channel || !this.timeMachine) return;
+        
+        this.channel.postMessage({
+            type: 'state',
+            state: state || this.timeMachine.getState()
+        });
+    }
+}
+
+// Global instance
+const operatorLink = new OperatorLink();
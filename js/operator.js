@@ -0,0 +1,220 @@
+/**
+ * Operator Console
+ * Runs in operator.html and drives the display window over BroadcastChannel.
+ * Loaded after js/operator-link.js, which defines the protocol and channel name
+ */
+
+class OperatorConsole {
+    constructor() {
+        this.channel = null;
+        this.state = null;
+        this.lastStateTime = 0;
+        
+        // Display is considered gone after this long without a state message
+        this.staleTime = 3000;
+        
+        // DOM elements
+        this.linkStatus = document.getElementById('link-status');
+        this.linkText = document.getElementById('link-text');
+        this.currentEra = document.getElementById('current-era');
+        this.pendingEra = document.getElementById('pending-era');
+        this.wormholeState = document.getElementById('wormhole-state');
+        this.nextChime = document.getElementById('next-chime');
+        this.autopilotState = document.getElementById('autopilot-state');
+        this.eraButtons = document.getElementById('era-buttons');
+        this.arriveButton = document.getElementById('arrive-button');
+        this.glitchButtons = document.getElementById('glitch-buttons');
+    }
+    
+    /**
+     * Open the channel and wire up controls
+     */
+    init() {
+        if (typeof BroadcastChannel === 'undefined') {
+            this.linkText.textContent = 'BROADCASTCHANNEL NOT SUPPORTED';
+            return;
+        }
+        
+        this.channel = new BroadcastChannel(OPERATOR_CHANNEL);
+        this.channel.onmessage = (e) => this.onMessage(e.data);
+        
+        this.setupControls();
+        this.setupKeyboardControls();
+        
+        // Ask the display for its state right away
+        this.channel.postMessage({ type: 'hello' });
+        
+        // Refresh connection status and chime countdown
+        setInterval(() => this.render(), 500);
+        
+        console.log('🎛️ Operator console online');
+    }
+    
+    /**
+     * Handle a message from the display
+     */
+    onMessage(message) {
+        if (!message || message.type !== 'state') return;
+        
+        const previousEras = this.state ? this.state.eras : null;
+        this.state = message.state;
+        this.lastStateTime = Date.now();
+        
+        // Rebuild buttons only when the era/effect lists change
+        if (JSON.stringify(previousEras) !== JSON.stringify(this.state.eras)) {
+            this.buildEraButtons();
+            this.buildGlitchButtons();
+        }
+        
+        this.render();
+    }
+    
+    /**
+     * Send a command to the display
+     * @param {Object} command - { command: 'travel'|'arrive'|'glitch'|'chime', ... }
+     */
+    send(command) {
+        this.channel.postMessage({ type: 'command', ...command });
+    }
+    
+    /**
+     * Wire up static buttons
+     */
+    setupControls() {
+        this.arriveButton.addEventListener('click', () => this.send({ command: 'arrive' }));
+        
+        document.getElementById('autopilot-toggle').addEventListener('click', () => {
+            this.send({ command: 'autopilot' });
+        });
+        
+        document.getElementById('chime-test').addEventListener('click', () => {
+            this.send({ command: 'chime', count: 3 });
+        });
+        
+        document.getElementById('chime-hour').addEventListener('click', () => {
+            this.send({ command: 'chime', hour: true });
+        });
+        
+        this.glitchButtons.addEventListener('click', (e) => {
+            const button = e.target.closest('button');
+            if (!button) return;
+            this.send({ command: 'glitch', effect: button.dataset.effect || null });
+        });
+    }
+    
+    /**
+     * Mirror the display's keyboard shortcuts
+     */
+    setupKeyboardControls() {
+        document.addEventListener('keydown', (e) => {
+            if (this.state && this.state.eras.some(era => era.key === e.key)) {
+                this.send({ command: 'travel', key: e.key });
+                return;
+            }
+            
+            if (e.key === ' ' || e.code === 'Space') {
+                e.preventDefault();
+                this.send({ command: 'arrive' });
+            }
+            
+            if (e.key === 't' || e.key === 'T') {
+                this.send({ command: 'chime', count: 3 });
+            }
+            
+            if (e.key === 'b' || e.key === 'B') {
+                this.send({ command: 'chime', hour: true });
+            }
+            
+            if (e.key === 'g' || e.key === 'G') {
+                this.send({ command: 'glitch' });
+            }
+            
+            if (e.key === 'a' || e.key === 'A') {
+                this.send({ command: 'autopilot' });
+            }
+        });
+    }
+    
+    /**
+     * Create one travel button per era
+     */
+    buildEraButtons() {
+        this.eraButtons.innerHTML = '';
+        
+        for (const era of this.state.eras) {
+            const button = document.createElement('button');
+            button.dataset.key = era.key;
+            button.textContent = `${era.label} (${era.key})`;
+            button.addEventListener('click', () => this.send({ command: 'travel', key: era.key }));
+            this.eraButtons.appendChild(button);
+        }
+    }
+    
+    /**
+     * Create one button per glitch effect (after the "random" button)
+     */
+    buildGlitchButtons() {
+        this.glitchButtons.querySelectorAll('[data-effect]:not([data-effect=""])')
+            .forEach(button => button.remove());
+        
+        for (const effect of this.state.glitchEffects) {
+            const button = document.createElement('button');
+            button.dataset.effect = effect;
+            button.textContent = effect.replace(/([A-Z])/g, ' $1').toUpperCase();
+            this.glitchButtons.appendChild(button);
+        }
+    }
+    
+    /**
+     * Update readouts from the latest state
+     */
+    render() {
+        const isOnline = this.state && (Date.now() - this.lastStateTime) < this.staleTime;
+        
+        this.linkStatus.classList.toggle('online', !!isOnline);
+        this.linkStatus.classList.toggle('offline', !isOnline);
+        this.linkText.textContent = isOnline ? 'DISPLAY LINKED' : 'DISPLAY NOT FOUND';
+        
+        if (!this.state) return;
+        
+        const { currentKey, currentLabel, pendingLabel, wormholeActive, malfunction, isChiming, nextChime, autopilot } = this.state;
+        
+        this.currentEra.textContent = currentLabel || '—';
+        this.pendingEra.textContent = pendingLabel || '—';
+        this.wormholeState.textContent = malfunction ? 'MISROUTED' : wormholeActive ? 'IN TRANSIT' : 'IDLE';
+        this.wormholeState.classList.toggle('active', wormholeActive);
+        this.arriveButton.disabled = !wormholeActive;
+        
+        if (!autopilot.enabled) {
+            this.autopilotState.textContent = autopilot.cues ? 'OFF' : 'NO ITINERARY';
+        } else {
+            this.autopilotState.textContent = autopilot.holding ? 'HOLDING' : 'ENGAGED';
+        }
+        this.autopilotState.classList.toggle('active', autopilot.enabled);
+        
+        if (isChiming) {
+            this.nextChime.textContent = 'CHIMING';
+        } else {
+            const remaining = Math.max(0, Math.round((nextChime - Date.now()) / 1000));
+            const time = new Date(nextChime).toLocaleTimeString([], {
+                hour: '2-digit',
+                minute: '2-digit',
+                timeZone: this.state.homeTimeZone
+            });
+            const minutes = Math.floor(remaining / 60);
+            const seconds = (remaining % 60).toString().padStart(2, '0');
+            this.nextChime.textContent = `${time} (${minutes}:${seconds})`;
+        }
+        
+        this.eraButtons.querySelectorAll('button').forEach(button => {
+            button.classList.toggle('current', button.dataset.key === currentKey);
+            button.disabled = wormholeActive;
+        });
+    }
+}
+
+// Initialize on DOM ready
+document.addEventListener('DOMContentLoaded', () => {
+    window.operatorConsole = new OperatorConsole();
+    window.operatorConsole.init();
+});
@@ -0,0 +1,521 @@
+/**
+ * Preflight
+ * Content checks to run before the party: the era registry, the image
+ * manifest against the files that are really there, the facts files and
+ * the audio files. Each finding is graded pass, warn or fail.
+ *
+ * The same checks run in two places:
+ *   - in the app: press P for a hidden report screen (files are checked over HTTP)
+ *   - in a terminal: node scripts/preflight.js (reads the disk directly,
+ *     sniffs real file types and finds files the manifest doesn't list)
+ *
+ * Checks read files through a source: { text(path), stat(path), list(dir) }.
+ * text() resolves to the contents or null, stat() to { bytes, type, sniffed }
+ * or null when the file is missing, and list() is optional.
+ */
+
+// Configuration
+const PREFLIGHT_CONFIG = {
+    maxImageBytes: 4 * 1024 * 1024,     // Bigger images are slow to fetch and decode
+    maxVideoBytes: 200 * 1024 * 1024,
+    maxImageSide: 4096,                 // Pixels - anything larger is wasted on a projector
+    maxFactLength: 200,                 // Characters - longer facts crawl past for half a minute
+    reportKey: 'p'                      // Toggles the report screen
+};
+
+// Types the slideshow can show in every browser ('video/quicktime' only plays in Safari)
+const PREFLIGHT_MEDIA_TYPES = {
+    jpg: 'image/jpeg',
+    jpeg: 'image/jpeg',
+    png: 'image/png',
+    gif: 'image/gif',
+    webp: 'image/webp',
+    avif: 'image/avif',
+    svg: 'image/svg+xml',
+    mp4: 'video/mp4',
+    webm: 'video/webm',
+    ogg: 'video/ogg'
+};
+
+// Keys other shortcuts already use
+const PREFLIGHT_RESERVED_KEYS = [' ', 't', 'b', 'g', 'a', 'n', 'p'];
+
+// Slide transitions the slideshow knows
+const PREFLIGHT_TRANSITIONS = ['crossfade', 'static', 'iris', 'sepia', 'film-burn', 'holo-wipe', 'cut'];
+
+class Preflight {
+    constructor() {
+        this.overlay = null;
+        this.running = false;
+    }
+    
+    /**
+     * Run every check
+     * @param {Object} source - File access (defaults to HTTP from the app's own server)
+     * @returns {Promise<Array<Object>>} Sections: [{ title, results: [{ level, message }] }]
+     */
+    async run(source = this.httpSource()) {
+        const eras = await this.checkEras(source);
+        
+        return [
+            eras.section,
+            await this.checkManifest(source, eras.list),
+            await this.checkFacts(source, eras.list),
+            await this.checkAudio(source, eras.list)
+        ];
+    }
+    
+    /**
+     * Start a report section
+     * @returns {Object} { title, results, pass(message), warn(message), fail(message) }
+     */
+    createSection(title) {
+        const section = { title, results: [] };
+        ['pass', 'warn', 'fail'].forEach(level => {
+            section[level] = message => section.results.push({ level, message });
+        });
+        return section;
+    }
+    
+    /**
+     * eras.json: parses, keys are unique and free, transitions are known
+     * @returns {Promise<Object>} { section, list: [{ key, display, folder, facts, audio }] }
+     */
+    async checkEras(source) {
+        const section = this.createSection('Eras');
+        const registry = this.parseJson(await source.text('eras.json'), 'eras.json', section);
+        if (!registry) return { section, list: [] };
+        
+        if (!Array.isArray(registry.eras)) {
+            section.fail('eras.json has no "eras" list');
+            return { section, list: [] };
+        }
+        
+        const list = [];
+        const keys = new Set();
+        
+        for (const [i, era] of registry.eras.entries()) {
+            if (!era || typeof era !== 'object') {
+                section.fail(`eras.json entry ${i + 1} isn't an era object`);
+                continue;
+            }
+            
+            const { key, folder, facts, display } = eraDefaults(era); // js/eras.js - same defaults as the app
+            
+            if (keys.has(key)) {
+                section.fail(`${display}: key "${key}" is already used by another era (it can't be reached)`);
+                continue;
+            }
+            keys.add(key);
+            
+            if (PREFLIGHT_RESERVED_KEYS.includes(key.toLowerCase())) {
+                section.warn(`${display}: key "${key}" is also a shortcut`);
+            }
+            if (era.transition && !PREFLIGHT_TRANSITIONS.includes(era.transition)) {
+                section.warn(`${display}: unknown transition "${era.transition}" (falls back to a crossfade)`);
+            }
+            
+            list.push({ key, display, folder, facts, audio: era.audio || null });
+        }
+        
+        if (list.length === 0) {
+            section.fail('eras.json lists no eras');
+        } else {
+            section.pass(`${list.length} eras: ${list.map(era => era.display).join(', ')}`);
+        }
+        
+        return { section, list };
+    }
+    
+    /**
+     * images/manifest.json: every entry exists, is a type browsers can show and isn't oversized
+     */
+    async checkManifest(source, eras) {
+        const section = this.createSection('Media');
+        const manifest = this.parseJson(await source.text('images/manifest.json'), 'images/manifest.json', section);
+        if (!manifest) return section;
+        
+        for (const era of eras) {
+            const entries = manifest[era.folder] || [];
+            if (entries.length === 0) {
+                section.warn(`${era.display}: no slides in the manifest (shows a placeholder)`);
+                continue;
+            }
+            
+            const files = entries.map(entry => (typeof entry === 'string' ? { file: entry } : entry || {}));
+            const findings = await Promise.all(files.map(entry => this.checkMedia(source, era.folder, entry)));
+            const problems = findings.flat();
+            problems.forEach(({ level, message }) => section[level](message));
+            
+            const seen = new Set();
+            files.forEach(({ file }) => {
+                if (seen.has(file)) section.warn(`${era.folder}/${file} is listed twice`);
+                seen.add(file);
+            });
+            
+            // Files sitting in the folder that never get shown
+            const onDisk = source.list ? await source.list(`images/${era.folder}`) : null;
+            for (const name of (onDisk || []).filter(name => !seen.has(name))) {
+                const stat = await source.stat(`images/${era.folder}/${name}`);
+                section.warn(stat && stat.sniffed && !stat.type
+                    ? `${era.folder}/${name} isn't an image or video (a saved error page?) - safe to delete`
+                    : `${era.folder}/${name} isn't in the manifest (run node scripts/build-manifest.js)`);
+            }
+            
+            if (!problems.some(problem => problem.level === 'fail')) {
+                section.pass(`${era.display}: ${files.length} slides found`);
+            }
+        }
+        
+        const eraFolders = eras.map(era => era.folder);
+        Object.keys(manifest)
+            .filter(folder => !eraFolders.includes(folder))
+            .forEach(folder => section.warn(`images/manifest.json lists "${folder}", which no era uses`));
+        
+        return section;
+    }
+    
+    /**
+     * Check one manifest entry
+     * @returns {Promise<Array<Object>>} [{ level, message }] problems found
+     */
+    async checkMedia(source, folder, entry) {
+        const name = `${folder}/${entry.file}`;
+        if (typeof entry.file !== 'string') {
+            return [{ level: 'fail', message: `${folder}: an entry has no "file"` }];
+        }
+        
+        const stat = await source.stat(`images/${name}`);
+        if (!stat) {
+            return [{ level: 'fail', message: `${name} is missing` }];
+        }
+        if (stat.sniffed && !stat.type) {
+            return [{ level: 'fail', message: `${name} isn't an image or video (a saved error page?)` }];
+        }
+        
+        const extension = entry.file.includes('.') ? entry.file.split('.').pop().toLowerCase() : '';
+        const type = stat.type || entry.type || PREFLIGHT_MEDIA_TYPES[extension] || (extension === 'mov' ? 'video/quicktime' : null);
+        const isVideo = !!type && type.startsWith('video/');
+        const problems = [];
+        
+        if (type === 'video/quicktime') {
+            problems.push({ level: 'warn', message: `${name} is a QuickTime movie (plays in Safari only)` });
+        } else if (type && !Object.values(PREFLIGHT_MEDIA_TYPES).includes(type)) {
+            problems.push({ level: 'fail', message: `${name} is ${type}, which browsers can't show` });
+        }
+        
+        const maxBytes = isVideo ? PREFLIGHT_CONFIG.maxVideoBytes : PREFLIGHT_CONFIG.maxImageBytes;
+        if (stat.bytes > maxBytes) {
+            problems.push({ level: 'warn', message: `${name} is ${this.formatBytes(stat.bytes)} (over ${this.formatBytes(maxBytes)})` });
+        }
+        
+        const side = Math.max(entry.width || 0, entry.height || 0);
+        if (!isVideo && side > PREFLIGHT_CONFIG.maxImageSide) {
+            problems.push({ level: 'warn', message: `${name} is ${entry.width}×${entry.height} (over ${PREFLIGHT_CONFIG.maxImageSide}px)` });
+        }
+        
+        return problems;
+    }
+    
+    /**
+     * Facts files: present, no blank or duplicate lines, nothing too long for the ticker
+     */
+    async checkFacts(source, eras) {
+        const section = this.createSection('Facts');
+        
+        // Every era's file, plus any other facts files on disk
+        const paths = eras.map(era => era.facts);
+        const onDisk = source.list ? await source.list('facts') : null;
+        (onDisk || [])
+            .filter(name => /\.(txt|json)$/i.test(name))
+            .map(name => `facts/${name}`)
+            .forEach(path => {
+                if (!paths.includes(path)) paths.push(path);
+            });
+        
+        for (const path of paths) {
+            const text = await source.text(path);
+            if (text === null) {
+                section.fail(`${path} is missing (that era's ticker will be empty)`);
+                continue;
+            }
+            
+            const facts = this.readFacts(text, path, section);
+            if (!facts) continue;
+            
+            const warnings = section.results.length;
+            const lines = new Map();
+            
+            facts.forEach(({ text: fact, line }) => {
+                if (!fact) {
+                    section.warn(`${path}:${line} is empty`);
+                    return;
+                }
+                if (lines.has(fact)) {
+                    section.warn(`${path}:${line} repeats line ${lines.get(fact)}`);
+                } else {
+                    lines.set(fact, line);
+                }
+                if (fact.length > PREFLIGHT_CONFIG.maxFactLength) {
+                    section.warn(`${path}:${line} is ${fact.length} characters (over ${PREFLIGHT_CONFIG.maxFactLength}): "${fact.slice(0, 40)}…"`);
+                }
+            });
+            
+            if (section.results.length === warnings) {
+                section.pass(`${path}: ${lines.size} facts`);
+            }
+        }
+        
+        return section;
+    }
+    
+    /**
+     * Split a facts file into { text, line } entries (line is the entry number for JSON)
+     * @returns {Array<Object>|null} null if the file doesn't parse
+     */
+    readFacts(text, path, section) {
+        if (/\.json$/i.test(path)) {
+            const data = this.parseJson(text, path, section);
+            if (!data) return null;
+            
+            const entries = Array.isArray(data) ? data : (data.facts || []);
+            return entries.map((entry, i) => ({
+                text: String((typeof entry === 'string' ? entry : entry && entry.text) || '').trim(),
+                line: i + 1
+            }));
+        }
+        
+        // A trailing newline doesn't count as a blank line
+        const lines = text.replace(/\r?\n$/, '').split(/\r?\n/);
+        return lines.map((line, i) => ({ text: line.trim(), line: i + 1 }));
+    }
+    
+    /**
+     * Audio files: the sound effects in index.html and each era's ambient bed
+     */
+    async checkAudio(source, eras) {
+        const section = this.createSection('Audio');
+        const html = await source.text('index.html');
+        
+        const files = [];
+        const pattern = /<(?:audio|source)\b[^>]*\bsrc="([^"]+)"/g;
+        let match;
+        while (html && (match = pattern.exec(html))) {
+            files.push({ path: match[1], fallback: 'the built-in synth plays instead' });
+        }
+        
+        eras
+            .filter(era => era.audio && era.audio.ambient)
+            .forEach(era => files.push({
+                path: era.audio.ambient,
+                fallback: era.audio.synth ? `${era.display} uses the "${era.audio.synth}" synth bed instead` : `${era.display} is silent`
+            }));
+        
+        for (const file of files) {
+            if (await source.stat(file.path)) {
+                section.pass(`${file.path} found`);
+            } else {
+                section.warn(`${file.path} is missing (${file.fallback})`);
+            }
+        }
+        
+        return section;
+    }
+    
+    /**
+     * Parse JSON, recording a failure if it's missing or broken
+     */
+    parseJson(text, path, section) {
+        if (text === null) {
+            section.fail(`${path} is missing`);
+            return null;
+        }
+        
+        try {
+            return JSON.parse(text);
+        } catch (e) {
+            section.fail(`${path} isn't valid JSON: ${e.message}`);
+            return null;
+        }
+    }
+    
+    /**
+     * Count results by level
+     * @returns {Object} { pass, warn, fail }
+     */
+    tally(sections) {
+        const counts = { pass: 0, warn: 0, fail: 0 };
+        sections.forEach(section => section.results.forEach(result => counts[result.level]++));
+        return counts;
+    }
+    
+    /**
+     * Plain-text report, one finding per line
+     * @returns {string}
+     */
+    formatText(sections) {
+        const icons = { pass: '✅', warn: '⚠️ ', fail: '❌' };
+        const counts = this.tally(sections);
+        
+        const lines = [];
+        sections.forEach(section => {
+            lines.push('', `== ${section.title} ==`);
+            section.results.forEach(result => lines.push(`${icons[result.level]} ${result.message}`));
+        });
+        lines.push('', `PREFLIGHT: ${counts.fail} fail, ${counts.warn} warn, ${counts.pass} pass`);
+        
+        return lines.join('\n');
+    }
+    
+    /**
+     * 1.2 MB style sizes
+     */
+    formatBytes(bytes) {
+        return bytes >= 1024 * 1024
+            ? `${(bytes / 1024 / 1024).toFixed(1)} MB`
+            : `${Math.round(bytes / 1024)} KB`;
+    }
+    
+    /**
+     * Source that reads files over HTTP from wherever the app is served
+     * Types come from the server's Content-Type, so they aren't sniffed
+     */
+    httpSource() {
+        const url = path => path.split('/').map(encodeURIComponent).join('/');
+        
+        return {
+            text: async (path) => {
+                try {
+                    const response = await fetch(url(path), { cache: 'no-store' });
+                    return response.ok ? await response.text() : null;
+                } catch (e) {
+                    return null;
+                }
+            },
+            stat: async (path) => {
+                let response;
+                try {
+                    response = await fetch(url(path), { method: 'HEAD', cache: 'no-store' });
+                } catch (e) {
+                    // Offline: HEAD skips the service worker, but a one-byte GET
+                    // is answered from the temporal cache
+                    try {
+                        response = await fetch(url(path), { headers: { Range: 'bytes=0-0' } });
+                    } catch (err) {
+                        return null;
+                    }
+                }
+                if (!response.ok) return null;
+                
+                // A ranged answer gives the full size after the slash: "bytes 0-0/12345"
+                const range = (response.headers.get('Content-Range') || '').match(/\/(\d+)$/);
+                const type = (response.headers.get('Content-Type') || '').split(';')[0].trim();
+                return {
+                    bytes: range ? Number(range[1]) : Number(response.headers.get('Content-Length')) || 0,
+                    type: /^(image|video|audio)\//.test(type) ? type : null,
+                    sniffed: false
+                };
+            }
+        };
+    }
+    
+    /**
+     * Listen for the report key
+     */
+    start() {
+        document.addEventListener('keydown', (e) => {
+            if (e.key.toLowerCase() === PREFLIGHT_CONFIG.reportKey && !bulletinManager.isTyping(e)) {
+                this.toggle();
+            }
+        });
+    }
+    
+    /**
+     * Show the report screen (running the checks afresh), or hide it
+     */
+    async toggle() {
+        const overlay = this.getOverlay();
+        if (overlay.classList.contains('visible')) {
+            overlay.classList.remove('visible');
+            return;
+        }
+        if (this.running) return;
+        
+        this.running = true;
+        overlay.querySelector('.preflight-summary').textContent = 'Running preflight checks…';
+        overlay.querySelector('.preflight-sections').innerHTML = '';
+        overlay.classList.add('visible');
+        
+        try {
+            const sections = await this.run();
+            this.render(sections);
+            
+            const counts = this.tally(sections);
+            console.log(`🧾 Preflight: ${counts.fail} fail, ${counts.warn} warn, ${counts.pass} pass`);
+        } catch (e) {
+            // Same as the CLI: a crash is a failed preflight, not an endless "running"
+            const section = this.createSection('Preflight');
+            section.fail(`Preflight couldn't finish: ${e.message}`);
+            this.render([section]);
+            console.error('🧾 Preflight crashed:', e);
+        } finally {
+            this.running = false;
+        }
+    }
+    
+    /**
+     * Fill the report screen
+     */
+    render(sections) {
+        const overlay = this.getOverlay();
+        const counts = this.tally(sections);
+        
+        const summary = overlay.querySelector('.preflight-summary');
+        summary.textContent = `${counts.fail} FAIL · ${counts.warn} WARN · ${counts.pass} PASS`;
+        summary.dataset.level = counts.fail > 0 ? 'fail' : counts.warn > 0 ? 'warn' : 'pass';
+        
+        const container = overlay.querySelector('.preflight-sections');
+        container.innerHTML = '';
+        
+        sections.forEach(section => {
+            const block = document.createElement('section');
+            const title = document.createElement('h2');
+            title.textContent = section.title;
+            block.appendChild(title);
+            
+            // Problems first
+            const order = { fail: 0, warn: 1, pass: 2 };
+            [...section.results]
+                .sort((a, b) => order[a.level] - order[b.level])
+                .forEach(result => {
+                    const line = document.createElement('div');
+                    line.className = `preflight-result ${result.level}`;
+                    line.textContent = result.message;
+                    block.appendChild(line);
+                });
+            
+            container.appendChild(block);
+        });
+    }
+    
+    /**
+     * Report screen (created on first use)
+     */
+    getOverlay() {
+        if (!this.overlay) {
+            this.overlay = document.createElement('div');
+            this.overlay.id = 'preflight-report';
+            this.overlay.innerHTML = `
+                <div class="preflight-title">PREFLIGHT REPORT</div>
+                <div class="preflight-summary"></div>
+                <div class="preflight-sections"></div>
+                <div class="preflight-hint">Press P to close</div>
+            `;
+            document.body.appendChild(this.overlay);
+        }
+        return this.overlay;
+    }
+}
+
+// Global instance
+const preflight = new Preflight();
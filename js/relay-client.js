@@ -0,0 +1,144 @@
+/**
+ * Relay Client
+ * Connects the display to the LAN relay (scripts/relay.js) so phone remotes
+ * can drive it. Only active when the page is opened with a ?relay parameter:
+ *
+ *   index.html?relay                      relay on the same host that serves the page
+ *   index.html?relay=ws://10.0.0.5:8787   relay somewhere else
+ *
+ * Uses the same message protocol as the operator console (js/operator-link.js).
+ */
+
+class RelayClient {
+    constructor() {
+        this.socket = null;
+        this.url = null;
+        this.timeMachine = null;
+        this.reconnectTimeout = null;
+        this.heartbeatInterval = null;
+        
+        // State is re-sent on this interval so remotes can tell the display is alive
+        this.heartbeatTime = 2000;
+        
+        // Reconnect backoff
+        this.minReconnectDelay = 1000;
+        this.maxReconnectDelay = 15000;
+        this.reconnectDelay = this.minReconnectDelay;
+    }
+    
+    /**
+     * Work out the relay URL from the page's query string
+     * @returns {string|null} WebSocket URL, or null if the relay isn't configured
+     */
+    getRelayUrl() {
+        const params = new URLSearchParams(window.location.search);
+        if (!params.has('relay')) return null;
+        
+        const value = params.get('relay');
+        if (value && value !== 'auto') return value;
+        
+        const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
+        return `${protocol}//${window.location.host}/relay`;
+    }
+    
+    /**
+     * Connect if configured
+     * @param {TimeMachine} timeMachine - The display's time machine
+     */
+    start(timeMachine) {
+        const url = this.getRelayUrl();
+        if (!url) return;
+        
+        this.timeMachine = timeMachine;
+        this.url = `${url}${url.includes('?') ? '&' : '?'}role=display`;
+        
+        timeMachine.onStateChange(state => this.publishState(state));
+        
+        this.heartbeatInterval = setInterval(() => this.publishState(), this.heartbeatTime);
+        
+        this.connect();
+    }
+    
+    /**
+     * Open the socket, reconnecting automatically when it drops
+     */
+    connect() {
+        console.log(`📡 Connecting to relay: ${this.url}`);
+        
+        try {
+            this.socket = new WebSocket(this.url);
+        } catch (e) {
+            console.warn('⚠️ Could not open relay socket:', e);
+            this.scheduleReconnect();
+            return;
+        }
+        
+        this.socket.onopen = () => {
+            console.log('📡 Relay connected');
+            this.reconnectDelay = this.minReconnectDelay;
+            this.publishState();
+        };
+        
+        this.socket.onmessage = (e) => {
+            try {
+                this.onMessage(JSON.parse(e.data));
+            } catch (err) {
+                console.warn('⚠️ Bad relay message:', err);
+            }
+        };
+        
+        this.socket.onclose = () => {
+            console.warn('📡 Relay disconnected');
+            this.socket = null;
+            this.scheduleReconnect();
+        };
+    }
+    
+    /**
+     * Try again after a growing delay
+     */
+    scheduleReconnect() {
+        if (this.reconnectTimeout) return;
+        
+        this.reconnectTimeout = setTimeout(() => {
+            this.reconnectTimeout = null;
+            this.connect();
+        }, this.reconnectDelay);
+        
+        this.reconnectDelay = Math.min(this.reconnectDelay * 2, this.maxReconnectDelay);
+    }
+    
+    /**
+     * Handle a message from a remote
+     */
+    onMessage(message) {
+        if (!message || !this.timeMachine) return;
+        
+        switch (message.type) {
+            case 'hello':
+                this.publishState();
+                break;
+            case 'command':
+                console.log(`📡 Remote command: ${message.command}`);
+                this.timeMachine.handleCommand(message);
+                this.publishState();
+                break;
+        }
+    }
+    
+    /**
+     * Report what's on screen to the remotes
+     * @param {Object} state - Optional precomputed state
+     */
+    publishState(state = null) {
+        if (!this.socket || this.socket.readyState !== WebSocket.OPEN) return;
+        
+        this.socket.send(JSON.stringify({
+            type: 'state',
+            state: state || this.timeMachine.getState()
+        }));
+    }
+}
+
+// Global instance
+const relayClient = new RelayClient();
@@ -0,0 +1,145 @@
+/**
+ * Phone Remote
+ * Runs in remote.html, served by the LAN relay (scripts/relay.js), and sends
+ * the same commands as the display's keyboard handler over WebSocket
+ */
+
+class TemporalRemote {
+    constructor() {
+        this.socket = null;
+        this.state = null;
+        this.lastStateTime = 0;
+        this.reconnectTimeout = null;
+        
+        // Display is considered gone after this long without a state message
+        this.staleTime = 5000;
+        this.reconnectDelay = 2000;
+        
+        // DOM elements
+        this.linkStatus = document.getElementById('link-status');
+        this.linkText = document.getElementById('link-text');
+        this.currentEra = document.getElementById('current-era');
+        this.transitStatus = document.getElementById('transit-status');
+        this.eraButtons = document.getElementById('era-buttons');
+        this.arriveButton = document.getElementById('arrive-button');
+    }
+    
+    /**
+     * Wire up controls and connect
+     */
+    init() {
+        this.arriveButton.addEventListener('click', () => this.send({ command: 'arrive' }));
+        document.getElementById('glitch-button').addEventListener('click', () => this.send({ command: 'glitch' }));
+        document.getElementById('chime-button').addEventListener('click', () => this.send({ command: 'chime', count: 3 }));
+        
+        this.connect();
+        
+        // Refresh connection status
+        setInterval(() => this.render(), 1000);
+    }
+    
+    /**
+     * Open the socket, reconnecting automatically when it drops
+     */
+    connect() {
+        const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
+        this.socket = new WebSocket(`${protocol}//${window.location.host}/relay?role=remote`);
+        
+        this.socket.onopen = () => {
+            this.send({ type: 'hello' });
+            this.render();
+        };
+        
+        this.socket.onmessage = (e) => {
+            let message;
+            try {
+                message = JSON.parse(e.data);
+            } catch (err) {
+                console.warn('⚠️ Bad relay message:', err);
+                return;
+            }
+            if (!message || message.type !== 'state') return;
+            
+            const previousEras = this.state ? this.state.eras : null;
+            this.state = message.state;
+            this.lastStateTime = Date.now();
+            
+            if (JSON.stringify(previousEras) !== JSON.stringify(this.state.eras)) {
+                this.buildEraButtons();
+            }
+            this.render();
+        };
+        
+        this.socket.onclose = () => {
+            this.socket = null;
+            this.render();
+            if (!this.reconnectTimeout) {
+                this.reconnectTimeout = setTimeout(() => {
+                    this.reconnectTimeout = null;
+                    this.connect();
+                }, this.reconnectDelay);
+            }
+        };
+    }
+    
+    /**
+     * Send a command (or protocol message) to the display
+     */
+    send(message) {
+        if (!this.socket || this.socket.readyState !== WebSocket.OPEN) return;
+        
+        const payload = message.type ? message : { type: 'command', ...message };
+        this.socket.send(JSON.stringify(payload));
+        
+        // Haptic feedback where supported
+        if (navigator.vibrate) navigator.vibrate(30);
+    }
+    
+    /**
+     * Create one travel button per era
+     */
+    buildEraButtons() {
+        this.eraButtons.innerHTML = '';
+        
+        for (const era of this.state.eras) {
+            const button = document.createElement('button');
+            button.dataset.key = era.key;
+            button.textContent = era.label;
+            button.addEventListener('click', () => this.send({ command: 'travel', key: era.key }));
+            this.eraButtons.appendChild(button);
+        }
+    }
+    
+    /**
+     * Update the screen from the latest state
+     */
+    render() {
+        const isConnected = this.socket && this.socket.readyState === WebSocket.OPEN;
+        const isOnline = isConnected && this.state && (Date.now() - this.lastStateTime) < this.staleTime;
+        
+        this.linkStatus.classList.toggle('online', !!isOnline);
+        this.linkStatus.classList.toggle('offline', !isOnline);
+        this.linkText.textContent = !isConnected ? 'RELAY OFFLINE'
+            : isOnline ? 'DISPLAY LINKED' : 'WAITING FOR DISPLAY';
+        
+        if (!this.state) return;
+        
+        const { currentKey, currentLabel, pendingLabel, wormholeActive } = this.state;
+        
+        this.currentEra.textContent = currentLabel || '—';
+        this.transitStatus.textContent = wormholeActive ? `IN TRANSIT TO ${pendingLabel}` : ' ';
+        this.arriveButton.disabled = !wormholeActive;
+        this.arriveButton.classList.toggle('ready', wormholeActive);
+        
+        this.eraButtons.querySelectorAll('button').forEach(button => {
+            button.classList.toggle('current', button.dataset.key === currentKey);
+            button.disabled = wormholeActive || button.dataset.key === currentKey;
+        });
+    }
+}
+
+// Initialize on DOM ready
+document.addEventListener('DOMContentLoaded', () => {
+    window.temporalRemote = new TemporalRemote();
+    window.temporalRemote.init();
+});
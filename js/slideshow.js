@@ -1,50 +1,135 @@
 /**
  * Slideshow Manager
  * Handles image and video rotation with Ken Burns effect
+ *
+ * Manifest entries are filenames, or objects for captioned press photos:
+ *   { "file": "moon.jpg", "caption": "...", "credit": "NASA", "date": "July 20, 1969", "location": "..." }
+ *
+ * Ken Burns motion is worked out per slide. Entries can steer it with a focal
+ * point, "focus": [x, y], or start and end crops, "motion": { "from": [x, y, w, h],
+ * "to": [x, y, w, h] }, all as 0-1 fractions of the image. Without either, the
+ * motion is picked at random to suit the image's shape.
+ *
+ * Videos take playback options: "start" and "end" (trim, in seconds), "loops",
+ * "maxSeconds" (longest time on screen), "volume" (0-1) and "muted": true.
+ * Eras cap every video with "maxVideoSeconds" in eras.json.
+ *
+ * Play order comes from a shuffle bag per era, saved in localStorage: every
+ * slide is shown once before any repeats, across jumps and reloads. Entries
+ * can add "weight": 3 to come up earlier in the bag (0 hides them) and
+ * "pinned": true to always open the era.
+ *
+ * Images are fetched and decoded ahead of time: the next few slides of the
+ * current era, plus the opening slides of every other era so an arrival
+ * shows a picture straight away. Decoded images live in a small LRU cache.
+ *
+ * Slides are double-buffered: the next image or video is loaded into the
+ * hidden layer, then swapped in with the era's transition ("transition" in
+ * eras.json): crossfade, static, iris, sepia, film-burn, holo-wipe or cut.
  */
 
+// Configuration
+const SLIDESHOW_CONFIG = {
+    preloadAhead: 2,          // Upcoming slides fetched and decoded in advance
+    cacheSize: 12,            // Decoded images kept around (oldest dropped first)
+    warmPerEra: 1,            // Opening slides of each other era kept ready (on top of cacheSize)
+    transitionMs: 1200,       // Length of a slide transition
+    defaultTransition: 'crossfade',
+    kenBurnsZoom: 1.15,       // How far the pan/zoom closes in on a focal point
+    maxVideoSeconds: 60,      // Longest a video may hold the slideshow (eras can override)
+    storageKey: 'timeMachine.slideBags'   // localStorage key for the shuffle bags
+};
+
 class SlideshowManager {
     constructor() {
-        this.imageElement = document.getElementById('slideshow-image');
-        this.videoElement = document.getElementById('slideshow-video');
+        // Two slide layers: the front one is on screen, the back one loads the next slide
+        this.layers = [...document.querySelectorAll('#slideshow .slide-layer')].map(element => ({
+            element,
+            image: element.querySelector('.slide-image'),
+            video: element.querySelector('.slide-video'),
+            motion: null,           // The image's pan/zoom animation
+            fit: null               // { item, image } the motion was planned for
+        }));
+        this.front = 0;
+        this.transition = SLIDESHOW_CONFIG.defaultTransition;
+        this.transitionAnimations = [];
+        
+        // Effect overlays used by some transitions
+        this.staticLayer = document.getElementById('slide-fx-static');
+        this.burnLayer = document.getElementById('slide-fx-burn');
+        this.scanLayer = document.getElementById('slide-fx-scan');
+        
+        this.captionElement = document.getElementById('slideshow-caption');
+        this.captionText = document.getElementById('caption-text');
+        this.captionMeta = document.getElementById('caption-meta');
         this.currentIndex = 0;
         this.mediaItems = [];
         this.intervalId = null;
         this.currentYear = null;
+        this.currentManifest = [];
         this.isVideoPlaying = false;
+        this.playback = null;       // The video slide in progress: { item, layer, loopsLeft, remainingMs, timer, ... }
+        this.maxVideoSeconds = SLIDESHOW_CONFIG.maxVideoSeconds;
+        this.waitingForGesture = false;
+        
+        // Shuffle bags: yearKey -> filenames already shown this round
+        this.bags = this.loadBags();
+        
+        // Preloading
+        this.cache = new Map();     // src -> { image, promise }, least recently used first
+        this.pinned = new Set();    // Warmed srcs exempt from eviction
+        this.manifests = {};        // yearKey -> manifest entries (set by warm())
+        this.prepared = {};         // yearKey -> { items, warmed } play order decided ahead of arrival
         
         // Slideshow timing
         this.imageDisplayTime = 10000; // 10 seconds per image
         
-        // Video end handler
-        this.videoElement.addEventListener('ended', () => this.onVideoEnded());
+        // Refit pan/zoom to the new frame size, carrying on from where it had got to
+        window.addEventListener('resize', () => {
+            this.layers
+                .filter(layer => layer.fit)
+                .forEach(layer => this.startMotion(layer, layer.fit.item, layer.fit.image, true));
+        });
+        
+        // End of a clip, or of its trimmed section
+        this.layers.forEach(layer => {
+            layer.video.addEventListener('ended', () => this.onClipEnd(layer));
+            layer.video.addEventListener('timeupdate', () => {
+                const end = this.playback && this.playback.layer === layer && this.playback.item.end;
+                if (end && layer.video.currentTime >= end) this.onClipEnd(layer);
+            });
+        });
     }
     
     /**
      * Load media for a specific year
      * @param {string} yearKey - The year folder key (e.g., "2025", "423bce")
-     * @param {Array} manifest - Array of filenames for this year
+     * @param {Array} manifest - Filenames or { file, caption, credit, date, location } entries for this year
+     * @param {Object} options - { transition, maxVideoSeconds } this era's slide transition and video cap
      */
-    async loadYear(yearKey, manifest) {
+    async loadYear(yearKey, manifest, options = {}) {
         this.stop();
+        const previousYear = this.currentYear;
         this.currentYear = yearKey;
+        this.currentManifest = manifest;
         this.currentIndex = 0;
-        this.mediaItems = [];
+        this.transition = options.transition || SLIDESHOW_CONFIG.defaultTransition;
+        this.maxVideoSeconds = options.maxVideoSeconds > 0 ? options.maxVideoSeconds : SLIDESHOW_CONFIG.maxVideoSeconds;
         
-        // Build media items array
-        for (const filename of manifest) {
-            const extension = filename.split('.').pop().toLowerCase();
-            const isVideo = ['mp4', 'webm', 'mov', 'ogg'].includes(extension);
-            
-            this.mediaItems.push({
-                src: `images/${yearKey}/${filename}`,
-                isVideo: isVideo,
-                filename: filename
-            });
+        // Use the order warmed for this era if there is one
+        const prepared = this.prepared[yearKey];
+        delete this.prepared[yearKey];
+        if (prepared) {
+            prepared.warmed.forEach(src => this.pinned.delete(src));
         }
+        this.mediaItems = prepared && this.manifests[yearKey] === manifest
+            ? prepared.items
+            : this.buildItems(yearKey, manifest);
         
-        // Shuffle for random playback order
-        this.shuffleArray(this.mediaItems);
+        // Get the era we just left ready for next time
+        if (previousYear && previousYear !== yearKey) {
+            this.prepareYear(previousYear);
+        }
         
         // If no media, show placeholder
         if (this.mediaItems.length === 0) {
@@ -52,82 +137,796 @@ class SlideshowManager {
             return;
         }
         
-        // Start slideshow
-        this.showCurrent();
+        // Start slideshow - the first slide cuts straight in (the arrival flash covers it)
+        this.showCurrent('cut');
         this.startAutoAdvance();
     }
     
+    /**
+     * Media items for an era in playback order, drawn from its shuffle bag
+     * @param {string} yearKey - The year folder key
+     * @param {Array} manifest - This era's manifest entries
+     * @param {boolean} arrival - Put pinned slides first (false when looping within a visit)
+     */
+    buildItems(yearKey, manifest, arrival = true) {
+        const items = manifest
+            .map(entry => this.normalizeEntry(yearKey, entry))
+            .filter(item => item && item.weight > 0);
+        
+        const seen = new Set(this.bags[yearKey] || []);
+        const pinned = arrival ? items.filter(item => item.pinned) : [];
+        const rest = items.filter(item => !pinned.includes(item));
+        
+        // Unseen slides first, then the next round's
+        return [
+            ...pinned,
+            ...this.weightedShuffle(rest.filter(item => !seen.has(item.filename))),
+            ...this.weightedShuffle(rest.filter(item => seen.has(item.filename)))
+        ];
+    }
+    
+    /**
+     * Weighted random permutation: sort by random^(1/weight), highest first
+     */
+    weightedShuffle(items) {
+        return items
+            .map(item => ({ item, key: Math.pow(Math.random(), 1 / item.weight) }))
+            .sort((a, b) => b.key - a.key)
+            .map(({ item }) => item);
+    }
+    
+    /**
+     * Take a slide out of its era's bag, starting a new round once all have been shown
+     * @param {Object} item - Media item now on screen
+     */
+    markSeen(item) {
+        const yearKey = this.currentYear;
+        const filenames = this.currentManifest
+            .map(entry => this.normalizeEntry(yearKey, entry))
+            .filter(entry => entry && entry.weight > 0)
+            .map(entry => entry.filename);
+        
+        // Forget files that have left the manifest
+        const seen = new Set((this.bags[yearKey] || []).filter(filename => filenames.includes(filename)));
+        seen.add(item.filename);
+        
+        this.bags[yearKey] = filenames.every(filename => seen.has(filename)) ? [] : [...seen];
+        this.saveBags();
+    }
+    
+    /**
+     * Read the saved shuffle bags
+     * @returns {Object} yearKey -> filenames shown this round
+     */
+    loadBags() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(SLIDESHOW_CONFIG.storageKey));
+            return saved && typeof saved === 'object' ? saved : {};
+        } catch (e) {
+            return {};
+        }
+    }
+    
+    /**
+     * Save the shuffle bags (quietly skipped where storage is unavailable)
+     */
+    saveBags() {
+        try {
+            localStorage.setItem(SLIDESHOW_CONFIG.storageKey, JSON.stringify(this.bags));
+        } catch (e) {
+            // Private browsing or file:// - bags just last for this visit
+        }
+    }
+    
+    /**
+     * Warm the opening slides of every era in the background
+     * @param {Object} manifest - Full manifest, keyed by year folder
+     */
+    warm(manifest) {
+        this.manifests = manifest;
+        
+        Object.keys(manifest)
+            .filter(yearKey => yearKey !== this.currentYear)
+            .forEach(yearKey => this.prepareYear(yearKey));
+    }
+    
+    /**
+     * Decide an era's next play order and preload its first slides
+     * @param {string} yearKey - The year folder key
+     */
+    prepareYear(yearKey) {
+        const manifest = this.manifests[yearKey];
+        if (!manifest) return;
+        
+        const previous = this.prepared[yearKey];
+        if (previous) {
+            previous.warmed.forEach(src => this.pinned.delete(src));
+        }
+        
+        const items = this.buildItems(yearKey, manifest);
+        const warmed = items
+            .slice(0, SLIDESHOW_CONFIG.warmPerEra)
+            .filter(item => !item.isVideo)
+            .map(item => item.src);
+        
+        warmed.forEach(src => {
+            this.pinned.add(src);
+            this.preload(src).catch(() => {});
+        });
+        
+        this.prepared[yearKey] = { items, warmed };
+    }
+    
+    /**
+     * Fetch and decode an image, reusing the cache
+     * @param {string} src - Image URL
+     * @returns {Promise<HTMLImageElement>} Resolves once the image is ready to paint
+     */
+    preload(src) {
+        const cached = this.cache.get(src);
+        if (cached) {
+            // Move to the most recently used end
+            this.cache.delete(src);
+            this.cache.set(src, cached);
+            return cached.promise;
+        }
+        
+        const image = new Image();
+        image.decoding = 'async';
+        
+        const promise = new Promise((resolve, reject) => {
+            image.onload = resolve;
+            image.onerror = () => reject(new Error(`Failed to load image: ${src}`));
+            image.src = src;
+        })
+            // A failed decode still leaves a loaded image the browser can paint
+            .then(() => (image.decode ? image.decode().catch(() => {}) : null))
+            .then(() => image);
+        
+        // Don't keep failures around - a later attempt should retry
+        promise.catch(() => this.cache.delete(src));
+        
+        this.cache.set(src, { image, promise });
+        this.trimCache();
+        
+        return promise;
+    }
+    
+    /**
+     * Drop the least recently used images beyond the cache size
+     */
+    trimCache() {
+        const evictable = [...this.cache.keys()].filter(src => !this.pinned.has(src));
+        const excess = evictable.length - SLIDESHOW_CONFIG.cacheSize;
+        
+        evictable.slice(0, Math.max(0, excess)).forEach(src => this.cache.delete(src));
+    }
+    
+    /**
+     * Preload the slides coming up after the current one
+     */
+    preloadAhead() {
+        const count = Math.min(SLIDESHOW_CONFIG.preloadAhead, this.mediaItems.length - 1);
+        
+        for (let i = 1; i <= count; i++) {
+            const item = this.mediaItems[(this.currentIndex + i) % this.mediaItems.length];
+            if (!item.isVideo) {
+                this.preload(item.src).catch(() => {});
+            }
+        }
+    }
+    
+    /**
+     * Turn a manifest entry into a media item
+     * @param {string} yearKey - The year folder key
+     * @param {string|Object} entry - Filename or { file, caption, credit, date, location, weight, pinned, ... }
+     * @returns {Object|null} { src, isVideo, filename, caption, ..., focus, motion, start, end, loops, maxSeconds, volume, muted } or null if unusable
+     */
+    normalizeEntry(yearKey, entry) {
+        const details = typeof entry === 'string' ? { file: entry } : entry;
+        if (!details || typeof details.file !== 'string') {
+            console.warn(`Skipping manifest entry without a file in ${yearKey}:`, entry);
+            return null;
+        }
+        
+        const filename = details.file;
+        const extension = filename.split('.').pop().toLowerCase();
+        const isVideo = details.type
+            ? details.type.startsWith('video/')
+            : ['mp4', 'webm', 'mov', 'ogg'].includes(extension);
+        const weight = Number(details.weight);
+        
+        return {
+            src: `images/${yearKey}/${filename}`,
+            isVideo,
+            filename,
+            caption: details.caption || null,
+            credit: details.credit || null,
+            date: details.date || null,
+            location: details.location || null,
+            weight: details.weight === undefined || isNaN(weight) ? 1 : Math.max(0, weight),
+            pinned: !!details.pinned,
+            focus: this.parseFocus(details.focus),
+            motion: this.parseMotion(details.motion),
+            ...this.parseVideoOptions(details)
+        };
+    }
+    
+    /**
+     * Validate a video's playback options, dropping anything out of range
+     * @returns {Object} { start, end, loops, maxSeconds, volume, muted }
+     */
+    parseVideoOptions(details) {
+        const positive = value => (typeof value === 'number' && value > 0 ? value : null);
+        const start = positive(details.start) || 0;
+        const end = positive(details.end);
+        const volume = Number(details.volume);
+        
+        return {
+            start,
+            end: end && end > start ? end : null,
+            loops: Math.max(1, Math.floor(positive(details.loops) || 1)),
+            maxSeconds: positive(details.maxSeconds),
+            volume: details.volume === undefined || isNaN(volume) ? 1 : Math.min(1, Math.max(0, volume)),
+            muted: !!details.muted
+        };
+    }
+    
+    /**
+     * Validate a focal point: [x, y] or { x, y } in 0-1 fractions
+     * @returns {Array<number>|null}
+     */
+    parseFocus(focus) {
+        if (!focus) return null;
+        
+        const point = Array.isArray(focus) ? focus : [focus.x, focus.y];
+        const valid = point.length === 2 && point.every(n => typeof n === 'number' && n >= 0 && n <= 1);
+        return valid ? point : null;
+    }
+    
+    /**
+     * Validate start/end crops: { from: [x, y, w, h], to: [x, y, w, h] }
+     * @returns {Object|null}
+     */
+    parseMotion(motion) {
+        if (!motion) return null;
+        
+        const isCrop = crop => Array.isArray(crop) && crop.length === 4
+            && crop.every(n => typeof n === 'number' && n >= 0 && n <= 1)
+            && crop[2] > 0 && crop[3] > 0;
+        return isCrop(motion.from) && isCrop(motion.to) ? { from: motion.from, to: motion.to } : null;
+    }
+    
+    /**
+     * Show an item's caption strip, or hide it if the item has nothing to say
+     * @param {Object|null} item - Media item
+     */
+    showCaption(item) {
+        if (!this.captionElement) return;
+        
+        const meta = item ? [item.date, item.location, item.credit && `Credit: ${item.credit}`].filter(Boolean) : [];
+        if (!item || (!item.caption && meta.length === 0)) {
+            this.captionElement.classList.remove('visible');
+            return;
+        }
+        
+        this.captionText.textContent = item.caption || '';
+        this.captionMeta.textContent = meta.join(' · ');
+        this.captionElement.classList.add('visible');
+    }
+    
     /**
      * Show placeholder when no images are available
      */
     showPlaceholder() {
-        this.imageElement.style.backgroundImage = 'none';
-        this.imageElement.style.background = `
-            linear-gradient(135deg, rgba(0, 240, 255, 0.1) 0%, rgba(157, 78, 221, 0.1) 100%)
-        `;
-        this.imageElement.classList.add('active');
-        this.videoElement.classList.remove('active');
+        const layer = this.getBackLayer();
+        this.clearVideo(layer);
+        if (layer.motion) {
+            layer.motion.cancel();
+            layer.motion = null;
+        }
+        layer.image.removeAttribute('style');
+        layer.image.style.backgroundImage =
+            'linear-gradient(135deg, rgba(0, 240, 255, 0.1) 0%, rgba(157, 78, 221, 0.1) 100%)';
+        this.present(layer, null, 'cut');
     }
     
     /**
      * Display current media item
+     * @param {string} transition - Override the era's transition for this slide
      */
-    showCurrent() {
+    showCurrent(transition = this.transition) {
         if (this.mediaItems.length === 0) return;
         
         const item = this.mediaItems[this.currentIndex];
+        this.markSeen(item);
         
         if (item.isVideo) {
-            this.showVideo(item.src);
+            this.showVideo(item, transition);
         } else {
-            this.showImage(item.src);
+            this.showImage(item, transition);
         }
     }
     
     /**
      * Display an image
+     * @param {Object} item - Media item
+     * @param {string} transition - Transition style
      */
-    showImage(src) {
-        this.isVideoPlaying = false;
-        this.videoElement.classList.remove('active');
-        this.videoElement.pause();
-        
-        // Preload image
-        const img = new Image();
-        img.onload = () => {
-            this.imageElement.style.backgroundImage = `url('${src}')`;
-            this.imageElement.classList.add('active');
-        };
-        img.onerror = () => {
-            console.warn(`Failed to load image: ${src}`);
-            this.advance();
-        };
-        img.src = src;
+    showImage(item, transition) {
+        const src = item.src;
+        this.endPlayback();
+        
+        // The old caption fades out while the next image loads
+        this.showCaption(null);
+        
+        // Usually already decoded by preloadAhead() or warm()
+        this.preload(src)
+            .then(image => {
+                if (this.mediaItems[this.currentIndex] !== item) return; // Moved on meanwhile
+                
+                const layer = this.getBackLayer();
+                this.clearVideo(layer);
+                layer.image.style.backgroundImage = `url('${src}')`;
+                this.startMotion(layer, item, image);
+                
+                this.present(layer, item, transition);
+            })
+            .catch(() => {
+                if (this.mediaItems[this.currentIndex] !== item) return;
+                console.warn(`Failed to load image: ${src}`);
+                this.advance();
+            });
+        
+        this.preloadAhead();
     }
     
     /**
      * Display and play a video
+     * @param {Object} item - Media item
+     * @param {string} transition - Transition style
      */
-    showVideo(src) {
-        this.isVideoPlaying = true;
-        this.imageElement.classList.remove('active');
+    showVideo(item, transition) {
+        const src = item.src;
+        const layer = this.getBackLayer();
+        const video = layer.video;
+        const playback = this.startPlayback(item, layer);
         
         // Stop auto-advance during video
         this.stopAutoAdvance();
+        this.showCaption(null);
         
-        this.videoElement.src = src;
-        this.videoElement.classList.add('active');
+        video.src = item.start ? `${src}#t=${item.start}` : src;
+        video.volume = item.volume;
+        layer.element.classList.add('has-video');
+        this.preloadAhead();
         
-        // Try to play with sound first, fall back to muted if needed
-        this.videoElement.muted = false;
-        this.videoElement.play().catch(() => {
-            // Autoplay with sound blocked, try muted
-            this.videoElement.muted = true;
-            this.videoElement.play().catch(err => {
+        // Try to play with sound first (unless it's always muted), fall back to muted if needed
+        video.muted = item.muted;
+        video.play()
+            .catch(err => {
+                if (video.muted) throw err;
+                // Autoplay with sound blocked, try muted and bring the sound in on the first click or key
+                video.muted = true;
+                this.unmuteAfterGesture();
+                return video.play();
+            })
+            .then(() => {
+                // Swap in once it's actually playing, so the transition never shows a black frame
+                if (playback !== this.playback) return;
+                this.present(layer, item, transition);
+                
+                // The time limit counts from when the video is on screen
+                playback.shown = true;
+                if (playback.paused) {
+                    video.pause();
+                } else {
+                    this.startVideoTimer(playback);
+                }
+            })
+            .catch(err => {
+                if (playback !== this.playback) return;
                 console.warn(`Failed to play video: ${src}`, err);
-                this.advance();
+                this.finishVideo(playback);
             });
+    }
+    
+    /**
+     * Browsers block sound until the user interacts - unmute the video then,
+     * at its configured volume, if it's still playing
+     */
+    unmuteAfterGesture() {
+        if (this.waitingForGesture) return;
+        this.waitingForGesture = true;
+        
+        const unmute = () => {
+            document.removeEventListener('click', unmute);
+            document.removeEventListener('keydown', unmute);
+            this.waitingForGesture = false;
+            
+            const playback = this.playback;
+            if (playback && !playback.done && !playback.item.muted) {
+                playback.layer.video.volume = playback.item.volume;
+                playback.layer.video.muted = false;
+            }
+        };
+        
+        document.addEventListener('click', unmute);
+        document.addEventListener('keydown', unmute);
+    }
+    
+    /**
+     * Begin tracking a video slide, replacing any still in progress
+     * @returns {Object} The playback record
+     */
+    startPlayback(item, layer) {
+        this.endPlayback();
+        
+        const limits = [item.maxSeconds, this.maxVideoSeconds].filter(Boolean);
+        this.playback = {
+            item,
+            layer,
+            loopsLeft: item.loops,
+            remainingMs: Math.min(...limits) * 1000,
+            timer: null,
+            timerStarted: 0,
+            shown: false,
+            paused: false,
+            done: false
+        };
+        this.isVideoPlaying = true;
+        
+        return this.playback;
+    }
+    
+    /**
+     * Run down the video's remaining on-screen time
+     */
+    startVideoTimer(playback) {
+        clearTimeout(playback.timer);
+        playback.timerStarted = Date.now();
+        playback.timer = setTimeout(() => {
+            console.log(`🎬 Video time limit reached: ${playback.item.filename}`);
+            this.finishVideo(playback);
+        }, playback.remainingMs);
+    }
+    
+    /**
+     * A clip reached its end (or its trimmed end): loop it or move on
+     */
+    onClipEnd(layer) {
+        const playback = this.playback;
+        if (!playback || playback.layer !== layer || playback.done || playback.paused) return;
+        
+        if (playback.loopsLeft > 1) {
+            playback.loopsLeft--;
+            layer.video.currentTime = playback.item.start;
+            layer.video.play().catch(() => this.finishVideo(playback));
+            return;
+        }
+        
+        this.finishVideo(playback);
+    }
+    
+    /**
+     * Move on from a video slide - once only, however it ended
+     */
+    finishVideo(playback) {
+        if (playback !== this.playback || playback.done) return;
+        
+        this.endPlayback();
+        this.onVideoEnded();
+    }
+    
+    /**
+     * Stop tracking the current video slide
+     */
+    endPlayback() {
+        if (!this.playback) return;
+        
+        this.playback.done = true;
+        clearTimeout(this.playback.timer);
+        this.playback = null;
+        this.isVideoPlaying = false;
+    }
+    
+    /**
+     * The layer that's off screen, ready for the next slide
+     */
+    getBackLayer() {
+        return this.layers[1 - this.front];
+    }
+    
+    /**
+     * The video on screen, if the current slide is one
+     * @returns {HTMLVideoElement|null}
+     */
+    getActiveVideo() {
+        const layer = this.layers[this.front];
+        return layer.element.classList.contains('has-video') ? layer.video : null;
+    }
+    
+    /**
+     * Stop and unload a layer's video
+     */
+    clearVideo(layer) {
+        if (!layer.element.classList.contains('has-video')) return;
+        
+        layer.element.classList.remove('has-video');
+        layer.video.pause();
+        layer.video.removeAttribute('src');
+        layer.video.load();
+    }
+    
+    /**
+     * Start a slide's pan/zoom, worked out from the image and frame sizes
+     * @param {Object} layer - Layer showing the image
+     * @param {Object} item - Media item (may carry focus/motion metadata)
+     * @param {HTMLImageElement} image - The decoded image (for its natural size)
+     * @param {boolean} resume - Keep the current views and progress (the frame was resized)
+     */
+    startMotion(layer, item, image, resume = false) {
+        const plan = resume && layer.fit ? layer.fit.plan : null;
+        const elapsed = resume && layer.motion ? layer.motion.currentTime : 0;
+        
+        if (layer.motion) {
+            layer.motion.cancel();
+            layer.motion = null;
+        }
+        layer.fit = { item, image, plan };
+        
+        const frameWidth = layer.element.clientWidth;
+        const frameHeight = layer.element.clientHeight;
+        const imageWidth = image.naturalWidth;
+        const imageHeight = image.naturalHeight;
+        const element = layer.image;
+        
+        // Can't measure (e.g. hidden) - fall back to a static cover fit
+        if (!frameWidth || !frameHeight || !imageWidth || !imageHeight || !element.animate) {
+            element.removeAttribute('style');
+            element.style.backgroundImage = `url('${item.src}')`;
+            return;
+        }
+        
+        // Lay the image out at "cover" size; views are transforms on top of that
+        const cover = Math.max(frameWidth / imageWidth, frameHeight / imageHeight);
+        const box = {
+            frameWidth,
+            frameHeight,
+            width: imageWidth * cover,
+            height: imageHeight * cover
+        };
+        element.style.width = `${box.width}px`;
+        element.style.height = `${box.height}px`;
+        element.style.backgroundSize = '100% 100%';
+        element.style.transformOrigin = '0 0';
+        
+        // Views are fractions of the image, so they carry over to a new size.
+        // Crop rectangles are re-fitted, as their zoom depends on the frame's shape
+        const motion = plan && !item.motion ? plan : this.planMotion(item, box);
+        layer.fit.plan = motion;
+        layer.motion = element.animate([
+            { transform: this.viewTransform(motion.from, box) },
+            { transform: this.viewTransform(motion.to, box) }
+        ], {
+            duration: this.imageDisplayTime + SLIDESHOW_CONFIG.transitionMs,
+            easing: 'ease-in-out',
+            fill: 'forwards'
         });
+        if (elapsed) layer.motion.currentTime = elapsed;
+    }
+    
+    /**
+     * Choose start and end views for a slide
+     * A view is { scale, x, y }: zoom over the cover fit, and the point of the image
+     * (0-1 fractions) that should sit in the middle of the frame
+     */
+    planMotion(item, box) {
+        const zoom = SLIDESHOW_CONFIG.kenBurnsZoom;
+        const flip = (a, b) => (Math.random() < 0.5 ? { from: a, to: b } : { from: b, to: a });
+        
+        // Explicit crop rectangles from the manifest
+        if (item.motion) {
+            return {
+                from: this.cropToView(item.motion.from, box),
+                to: this.cropToView(item.motion.to, box)
+            };
+        }
+        
+        // A focal point: zoom in on it (or out from it)
+        if (item.focus) {
+            const [x, y] = item.focus;
+            return flip({ scale: 1, x, y }, { scale: zoom, x, y });
+        }
+        
+        // No metadata - a safe motion for the image's shape
+        const aspect = (box.width / box.height) / (box.frameWidth / box.frameHeight);
+        
+        if (aspect > 1.2) {
+            // Wider than the screen: pan across it
+            return flip({ scale: 1, x: 0, y: 0.5 }, { scale: 1.05, x: 1, y: 0.5 });
+        }
+        if (aspect < 0.83) {
+            // Taller than the screen: drift between the middle and the upper third, where faces usually are
+            return flip({ scale: 1, x: 0.5, y: 0.5 }, { scale: 1.05, x: 0.5, y: 0.3 });
+        }
+        
+        // Roughly the screen's shape: gentle zoom toward somewhere near the middle
+        const x = 0.4 + Math.random() * 0.2;
+        const y = 0.4 + Math.random() * 0.2;
+        return flip({ scale: 1, x: 0.5, y: 0.5 }, { scale: zoom, x, y });
+    }
+    
+    /**
+     * Turn a crop rectangle [x, y, width, height] (0-1 fractions of the image) into a view
+     */
+    cropToView(crop, box) {
+        const [x, y, width, height] = crop;
+        return {
+            scale: Math.max(box.frameWidth / (width * box.width), box.frameHeight / (height * box.height)),
+            x: x + width / 2,
+            y: y + height / 2
+        };
+    }
+    
+    /**
+     * CSS transform for a view, kept from ever showing past the image's edges
+     */
+    viewTransform(view, box) {
+        const scale = Math.max(1, view.scale);
+        const left = box.frameWidth / 2 - scale * view.x * box.width;
+        const top = box.frameHeight / 2 - scale * view.y * box.height;
+        
+        const x = Math.min(0, Math.max(box.frameWidth - scale * box.width, left));
+        const y = Math.min(0, Math.max(box.frameHeight - scale * box.height, top));
+        
+        return `translate(${x.toFixed(1)}px, ${y.toFixed(1)}px) scale(${scale.toFixed(4)})`;
+    }
+    
+    /**
+     * Bring a loaded back layer to the front with a transition
+     * @param {Object} layer - The back layer, already showing the new slide
+     * @param {Object|null} item - Media item (for the caption)
+     * @param {string} transition - Transition style
+     */
+    present(layer, item, transition) {
+        // A transition still running jumps to its end first
+        this.finishTransition();
+        
+        const outgoing = this.layers[this.front];
+        this.front = this.layers.indexOf(layer);
+        
+        layer.element.classList.add('active');
+        outgoing.element.classList.remove('active');
+        this.showCaption(item);
+        
+        this.runTransition(transition, outgoing, layer).then(() => {
+            // Silence a video that has just gone off screen
+            if (outgoing !== this.layers[this.front]) {
+                outgoing.video.pause();
+            }
+        });
+    }
+    
+    /**
+     * Animate from one layer to the other
+     * Every animation ends on the layers' CSS state, so cutting one short is seamless
+     * @returns {Promise} Resolves when the transition is over
+     */
+    runTransition(style, from, to) {
+        const animate = (element, keyframes) => {
+            if (!element || !element.animate) return;
+            this.transitionAnimations.push(element.animate(keyframes, {
+                duration: SLIDESHOW_CONFIG.transitionMs,
+                easing: 'ease-in-out'
+            }));
+        };
+        
+        switch (style) {
+            case 'cut':
+                break;
+            
+            case 'static':
+                // Old slide dissolves into TV static, new one emerges from it
+                this.prepareStatic();
+                animate(this.staticLayer, [{ opacity: 0 }, { opacity: 1, offset: 0.45 }, { opacity: 1, offset: 0.55 }, { opacity: 0 }]);
+                animate(from.element, [{ opacity: 1 }, { opacity: 1, offset: 0.5 }, { opacity: 0, offset: 0.5 }, { opacity: 0 }]);
+                animate(to.element, [{ opacity: 0 }, { opacity: 0, offset: 0.5 }, { opacity: 1, offset: 0.5 }, { opacity: 1 }]);
+                break;
+            
+            case 'iris':
+                // New slide opens out of a circle in the middle
+                animate(to.element, [
+                    { clipPath: 'circle(0% at 50% 50%)' },
+                    { clipPath: 'circle(75% at 50% 50%)' }
+                ]);
+                animate(from.element, [{ opacity: 1 }, { opacity: 1 }]);
+                break;
+            
+            case 'sepia':
+                // Old slide yellows and fades like an old print, new one develops out of sepia
+                animate(from.element, [
+                    { opacity: 1, filter: 'sepia(0) brightness(1)' },
+                    { opacity: 1, filter: 'sepia(1) brightness(0.85)', offset: 0.4 },
+                    { opacity: 0, filter: 'sepia(1) brightness(0.6)' }
+                ]);
+                animate(to.element, [
+                    { opacity: 0, filter: 'sepia(1)' },
+                    { opacity: 0, filter: 'sepia(1)', offset: 0.3 },
+                    { opacity: 1, filter: 'sepia(1)', offset: 0.7 },
+                    { opacity: 1, filter: 'sepia(0)' }
+                ]);
+                break;
+            
+            case 'film-burn':
+                // The projector bulb burns through the frame, then a hard cut
+                animate(this.burnLayer, [{ opacity: 0 }, { opacity: 1, offset: 0.45 }, { opacity: 0 }]);
+                animate(from.element, [
+                    { opacity: 1, filter: 'brightness(1) contrast(1)' },
+                    { opacity: 1, filter: 'brightness(2.5) contrast(1.4) sepia(0.6)', offset: 0.45 },
+                    { opacity: 0, offset: 0.45 },
+                    { opacity: 0 }
+                ]);
+                animate(to.element, [
+                    { opacity: 0 },
+                    { opacity: 0, offset: 0.45 },
+                    { opacity: 1, filter: 'brightness(2) contrast(1.3)', offset: 0.45 },
+                    { opacity: 1, filter: 'brightness(1) contrast(1)' }
+                ]);
+                break;
+            
+            case 'holo-wipe':
+                // A scan line sweeps across, resolving the new slide out of a hologram shimmer
+                animate(to.element, [
+                    { clipPath: 'inset(0 100% 0 0)', filter: 'hue-rotate(90deg) saturate(2) brightness(1.4)' },
+                    { clipPath: 'inset(0 0% 0 0)', filter: 'hue-rotate(0deg) saturate(1) brightness(1)' }
+                ]);
+                animate(this.scanLayer, [
+                    { opacity: 1, transform: 'translateX(0)' },
+                    { opacity: 1, transform: 'translateX(1100%)' }
+                ]);
+                animate(from.element, [{ opacity: 1 }, { opacity: 1 }]);
+                break;
+            
+            default:
+                // crossfade
+                animate(to.element, [{ opacity: 0 }, { opacity: 1 }]);
+                animate(from.element, [{ opacity: 1 }, { opacity: 0 }]);
+        }
+        
+        return Promise.all(this.transitionAnimations.map(animation => animation.finished)).catch(() => {});
+    }
+    
+    /**
+     * Cut short any transition in progress
+     */
+    finishTransition() {
+        this.transitionAnimations.forEach(animation => animation.cancel());
+        this.transitionAnimations = [];
+    }
+    
+    /**
+     * Paint the static overlay's noise texture (once)
+     */
+    prepareStatic() {
+        if (!this.staticLayer || this.staticLayer.dataset.ready) return;
+        this.staticLayer.dataset.ready = 'true';
+        
+        try {
+            const canvas = document.createElement('canvas');
+            canvas.width = canvas.height = 128;
+            const ctx = canvas.getContext('2d');
+            const noise = ctx.createImageData(128, 128);
+            for (let i = 0; i < noise.data.length; i += 4) {
+                const value = Math.random() * 255;
+                noise.data[i] = noise.data[i + 1] = noise.data[i + 2] = value;
+                noise.data[i + 3] = 255;
+            }
+            ctx.putImageData(noise, 0, 0);
+            this.staticLayer.style.backgroundImage = `url('${canvas.toDataURL()}')`;
+        } catch (e) {
+            // Keep the plain grey flicker from the stylesheet
+        }
     }
     
     /**
@@ -145,7 +944,20 @@ class SlideshowManager {
     advance() {
         if (this.mediaItems.length === 0) return;
         
-        this.currentIndex = (this.currentIndex + 1) % this.mediaItems.length;
+        this.currentIndex++;
+        
+        // End of the list - draw a fresh order from the bag, without repeating the slide just shown
+        if (this.currentIndex >= this.mediaItems.length) {
+            const last = this.mediaItems[this.mediaItems.length - 1];
+            const items = this.buildItems(this.currentYear, this.currentManifest, false);
+            if (items.length > 1 && items[0].filename === last.filename) {
+                items.push(items.shift());
+            }
+            this.mediaItems = items;
+            this.currentIndex = 0;
+            if (items.length === 0) return;
+        }
+        
         this.showCurrent();
     }
     
@@ -177,8 +989,8 @@ class SlideshowManager {
      */
     stop() {
         this.stopAutoAdvance();
-        this.videoElement.pause();
-        this.isVideoPlaying = false;
+        this.endPlayback();
+        this.layers.forEach(layer => layer.video.pause());
     }
     
     /**
@@ -186,8 +998,18 @@ class SlideshowManager {
      */
     pause() {
         this.stopAutoAdvance();
-        if (this.isVideoPlaying) {
-            this.videoElement.pause();
+        
+        const playback = this.playback;
+        if (playback && !playback.paused) {
+            playback.paused = true;
+            playback.layer.video.pause();
+            
+            // Hold the time limit where it is
+            if (playback.timer) {
+                clearTimeout(playback.timer);
+                playback.timer = null;
+                playback.remainingMs = Math.max(0, playback.remainingMs - (Date.now() - playback.timerStarted));
+            }
         }
     }
     
@@ -195,21 +1017,16 @@ class SlideshowManager {
      * Resume slideshow
      */
     resume() {
-        if (this.isVideoPlaying) {
-            this.videoElement.play();
+        const playback = this.playback;
+        if (playback && playback.paused) {
+            playback.paused = false;
+            playback.layer.video.play().catch(() => this.finishVideo(playback));
+            if (playback.shown) {
+                this.startVideoTimer(playback);
+            }
         }
         this.startAutoAdvance();
     }
-    
-    /**
-     * Shuffle array in place (Fisher-Yates)
-     */
-    shuffleArray(array) {
-        for (let i = array.length - 1; i > 0; i--) {
-            const j = Math.floor(Math.random() * (i + 1));
-            [array[i], array[j]] = [array[j], array[i]];
-        }
-    }
 }
 
 // Global instance
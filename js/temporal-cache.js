@@ -0,0 +1,257 @@
+/**
+ * Temporal Cache
+ * Keeps everything the show needs inside the browser so it survives bad
+ * venue Wi-Fi: the app shell, fonts, eras, facts, audio and every slide in
+ * the manifest. Registers the service worker (sw.js), which answers requests
+ * from the cache, then fills the cache behind a "TEMPORAL CACHE: 87/112
+ * ASSETS" readout.
+ *
+ * Each load compares the manifest with what's cached: new slides and slides
+ * whose byte size changed are fetched, slides no longer listed are dropped,
+ * and everything else is left alone.
+ *
+ * Needs http:// or https:// - opened from file:// the app runs uncached.
+ */
+
+// Configuration
+const TEMPORAL_CACHE_CONFIG = {
+    cacheName: 'temporal-cache-v1',         // Must match CACHE_NAME in sw.js
+    indexFile: 'temporal-cache-index.json', // Cached slides' revisions (kept in the cache itself)
+    parallel: 4,                            // Downloads at once
+    hideDelayMs: 6000                       // Readout lingers this long once done
+};
+
+class TemporalCache {
+    constructor() {
+        this.readout = null;
+        this.hideTimeout = null;
+    }
+    
+    /**
+     * Register the service worker and bring the cache up to date
+     * @param {Object} manifest - Full media manifest, keyed by year folder
+     * @param {Object} years - Era registry (key -> era config)
+     */
+    async start(manifest, years) {
+        if (!('serviceWorker' in navigator) || !window.caches || location.protocol === 'file:') {
+            console.log('🗄️ Temporal cache unavailable (needs http:// or https://)');
+            return;
+        }
+        
+        try {
+            await navigator.serviceWorker.register('sw.js');
+        } catch (e) {
+            console.warn('🗄️ Service worker registration failed:', e);
+            return;
+        }
+        
+        await this.sync(this.listAssets(manifest, years));
+    }
+    
+    /**
+     * Everything the show may ask for
+     * @returns {Map<string, string|null>} Absolute URL -> revision (byte size for slides, null otherwise)
+     */
+    listAssets(manifest, years) {
+        const assets = new Map();
+        const add = (path, revision = null) => assets.set(new URL(path, location.href).href, revision);
+        const eras = Object.values(years);
+        
+        // App shell: this page and everything it loads
+        add(location.pathname);
+        add('index.html');
+        document.querySelectorAll('script[src], img[src], audio[src], audio source[src]')
+            .forEach(element => add(element.getAttribute('src')));
+        document.querySelectorAll('link[rel="stylesheet"]')
+            .forEach(link => add(link.href));
+        this.fontFiles().forEach(url => add(url));
+        
+        // Data files
+        ['eras.json', 'bulletins.json', 'itinerary.json', 'images/manifest.json'].forEach(path => add(path));
+        eras.forEach(era => {
+            add(era.facts);
+            if (era.audio && era.audio.ambient) add(era.audio.ambient);
+        });
+        
+        // Every era's slides
+        eras.forEach(era => {
+            (manifest[era.folder] || []).forEach(entry => {
+                const details = typeof entry === 'string' ? { file: entry } : entry;
+                if (details && details.file) {
+                    add(`images/${era.folder}/${details.file}`, details.bytes ? String(details.bytes) : null);
+                }
+            });
+        });
+        
+        return assets;
+    }
+    
+    /**
+     * Font files named by @font-face rules in our own stylesheets (css/fonts.css)
+     * @returns {Array<string>} Absolute URLs
+     */
+    fontFiles() {
+        const urls = [];
+        
+        for (const sheet of document.styleSheets) {
+            let rules;
+            try {
+                rules = sheet.cssRules;
+            } catch (e) {
+                continue; // Cross-origin (Google Fonts) - see googleFontFiles()
+            }
+            
+            [...rules]
+                .filter(rule => rule instanceof CSSFontFaceRule)
+                .forEach(rule => urls.push(...this.cssUrls(rule.style.getPropertyValue('src'), sheet.href || location.href)));
+        }
+        
+        return urls;
+    }
+    
+    /**
+     * Font files named by a Google Fonts stylesheet. Its rules can't be read
+     * cross-origin, so the text is fetched and parsed instead; that way every
+     * face is cached up front, not just those some era has already shown.
+     * @param {string} cssUrl - Stylesheet URL
+     * @returns {Promise<Array<string>>} Absolute URLs (empty if it can't be fetched)
+     */
+    async googleFontFiles(cssUrl) {
+        try {
+            const response = await fetch(cssUrl);
+            return response.ok ? this.cssUrls(await response.text(), cssUrl) : [];
+        } catch (e) {
+            return [];
+        }
+    }
+    
+    /**
+     * Absolute URLs of the url() values in some CSS
+     */
+    cssUrls(css, base) {
+        return [...css.matchAll(/url\(\s*["']?([^"')]+)["']?\s*\)/g)]
+            .map(([, url]) => new URL(url, base).href);
+    }
+    
+    /**
+     * Fetch what's missing or changed and drop slides that have left the manifest.
+     * Failures (storage full, private browsing, a damaged index) are logged and
+     * the show carries on uncached.
+     * @param {Map<string, string|null>} assets - From listAssets()
+     */
+    async sync(assets) {
+        try {
+            const cache = await caches.open(TEMPORAL_CACHE_CONFIG.cacheName);
+            const indexUrl = new URL(TEMPORAL_CACHE_CONFIG.indexFile, location.href).href;
+            const indexResponse = await cache.match(indexUrl);
+            const index = indexResponse ? await indexResponse.json().catch(() => ({})) : {}; // Damaged: start over
+            
+            // Every Google font face, not just the ones already on screen
+            const googleSheets = [...assets.keys()].filter(url => new URL(url).hostname === 'fonts.googleapis.com');
+            for (const sheet of googleSheets) {
+                (await this.googleFontFiles(sheet)).forEach(url => assets.set(url, null));
+            }
+            
+            // Slides no longer in the manifest
+            const imagesRoot = new URL('images/', location.href).href;
+            const stale = (await cache.keys())
+                .map(request => request.url)
+                .filter(url => url.startsWith(imagesRoot) && !assets.has(url));
+            await Promise.all(stale.map(url => cache.delete(url)));
+            stale.forEach(url => delete index[url]);
+            
+            // Missing, or a slide whose file has changed
+            const urls = [...assets.keys()];
+            const queue = [];
+            for (const url of urls) {
+                const revision = assets.get(url);
+                if (!(await cache.match(url)) || (revision !== null && index[url] !== revision)) {
+                    queue.push(url);
+                }
+            }
+            
+            let cached = urls.length - queue.length;
+            let missing = 0;
+            let absent = 0;   // 404s: optional files that aren't there (e.g. sound effects left to the synth)
+            this.showProgress(cached, urls.length, missing);
+            
+            const download = async () => {
+                while (queue.length > 0) {
+                    const url = queue.shift();
+                    try {
+                        const response = await fetch(url, { cache: 'reload' });
+                        if (response.status === 404) {
+                            console.log(`🗄️ Not on the server, skipping: ${url}`);
+                            absent++;
+                        } else {
+                            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                            
+                            await cache.put(url, response);
+                            if (assets.get(url) !== null) index[url] = assets.get(url);
+                            cached++;
+                        }
+                    } catch (e) {
+                        console.warn(`🗄️ Couldn't cache ${url}: ${e.message}`);
+                        missing++;
+                    }
+                    this.showProgress(cached, urls.length - absent, missing);
+                }
+            };
+            await Promise.all(Array.from({ length: TEMPORAL_CACHE_CONFIG.parallel }, download));
+            
+            await cache.put(indexUrl, new Response(JSON.stringify(index), {
+                headers: { 'Content-Type': 'application/json' }
+            }));
+            
+            console.log(`🗄️ Temporal cache: ${cached}/${urls.length - absent} assets` +
+                (absent > 0 ? `, ${absent} not on the server` : '') +
+                (stale.length > 0 ? `, ${stale.length} dropped` : '') +
+                (missing > 0 ? `, ${missing} unavailable` : ''));
+        } catch (e) {
+            console.warn('🗄️ Temporal cache update failed:', e);
+        }
+        
+        this.finish();
+    }
+    
+    /**
+     * Update the corner readout
+     */
+    showProgress(cached, total, missing) {
+        const readout = this.getReadout();
+        const done = cached + missing === total;
+        
+        readout.textContent = `TEMPORAL CACHE: ${cached}/${total} ASSETS` +
+            (missing > 0 ? ` · ${missing} UNAVAILABLE` : '') +
+            (done && missing === 0 ? ' ✓' : '');
+        readout.classList.toggle('complete', done);
+        readout.classList.add('visible');
+    }
+    
+    /**
+     * Let the readout fade once everything is in
+     */
+    finish() {
+        if (!this.readout) return;
+        
+        clearTimeout(this.hideTimeout);
+        this.hideTimeout = setTimeout(() => {
+            this.readout.classList.remove('visible');
+        }, TEMPORAL_CACHE_CONFIG.hideDelayMs);
+    }
+    
+    /**
+     * Corner readout (created on first use)
+     */
+    getReadout() {
+        if (!this.readout) {
+            this.readout = document.createElement('div');
+            this.readout.id = 'temporal-cache-status';
+            document.body.appendChild(this.readout);
+        }
+        return this.readout;
+    }
+}
+
+// Global instance
+const temporalCache = new TemporalCache();
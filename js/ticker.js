@@ -0,0 +1,196 @@
+/**
+ * Facts Ticker
+ * News-crawl engine for the bottom ticker. Items are laid out one after
+ * another and scrolled at a constant pixel speed using their measured
+ * widths, so long or emoji-heavy facts move at the same pace as short ones.
+ *
+ * Only enough items to fill the screen are rendered. Changing the facts
+ * (e.g. on arrival in a new era) keeps whatever is already on screen and
+ * feeds the new facts in behind it, instead of jumping back to the start.
+ *
+ * Other modules can push a priority message that scrolls in next:
+ *   factsTicker.announce('🔔 12:00 - the bells are ringing');
+ */
+
+// Configuration
+const TICKER_CONFIG = {
+    speed: 150,               // Pixels per second - brisk news ticker pace
+    separator: ' ◆ ',         // Placed after every item
+    maxFrameSeconds: 0.1      // Longest step per frame (avoids a jump after a stalled tab)
+};
+
+class FactsTicker {
+    constructor() {
+        this.viewport = document.getElementById('ticker');
+        this.content = document.getElementById('ticker-content');
+        
+        this.facts = [];            // Looping facts (text)
+        this.nextIndex = 0;         // Next fact to feed in
+        this.priority = [];         // Announcements waiting to go next
+        this.items = [];            // On-screen items: [{ element, width, text, factIndex, isPriority }]
+        this.offset = 0;            // Left edge of the first item, in px from the viewport's left
+        this.frameId = null;
+        this.lastFrame = 0;
+        
+        window.addEventListener('resize', () => this.remeasure());
+        if (document.fonts) {
+            document.fonts.addEventListener('loadingdone', () => this.remeasure());
+        }
+    }
+    
+    /**
+     * Replace the looping facts without resetting the crawl
+     * @param {Array<string>} facts - Fact texts in running order
+     */
+    setFacts(facts) {
+        if (this.items.length === 0) {
+            // First run - clear the placeholder and start at the right edge
+            this.content.innerHTML = '';
+            this.offset = this.viewport.clientWidth;
+        }
+        
+        this.dropUnseen();
+        this.facts = facts.slice();
+        this.nextIndex = 0;
+        
+        // The theme may have changed the ticker font
+        this.remeasure();
+        this.fill();
+        this.start();
+    }
+    
+    /**
+     * Queue a priority message to scroll in right after what's on screen
+     * @param {string} text - Message text
+     */
+    announce(text) {
+        this.dropUnseen();
+        this.priority.push(text);
+        this.fill();
+        
+        console.log(`📰 Ticker announcement: ${text}`);
+    }
+    
+    /**
+     * Remove items that haven't reached the screen yet so new content goes next
+     * Their facts and announcements are put back to run later
+     */
+    dropUnseen() {
+        const edge = this.viewport.clientWidth;
+        let left = this.offset;
+        let keep = 0;
+        
+        while (keep < this.items.length && left < edge) {
+            left += this.items[keep].width;
+            keep++;
+        }
+        
+        const dropped = this.items.splice(keep);
+        dropped.forEach(item => item.element.remove());
+        
+        // Announcements go back to the front of the queue, facts resume where they left off
+        this.priority.unshift(...dropped.filter(item => item.isPriority).map(item => item.text));
+        const firstFact = dropped.find(item => !item.isPriority);
+        if (firstFact) this.nextIndex = firstFact.factIndex;
+    }
+    
+    /**
+     * Append items until the screen is covered
+     */
+    fill() {
+        const edge = this.viewport.clientWidth;
+        let right = this.offset + this.items.reduce((sum, item) => sum + item.width, 0);
+        
+        while (right < edge + 1 && (this.priority.length > 0 || this.facts.length > 0)) {
+            const item = this.priority.length > 0
+                ? this.createItem(this.priority.shift(), true)
+                : this.createItem(this.facts[this.nextIndex], false);
+            
+            if (!item.isPriority) {
+                this.nextIndex = (this.nextIndex + 1) % this.facts.length;
+            }
+            
+            right += item.width;
+            
+            // Guard against unmeasurable (e.g. hidden) content looping forever
+            if (item.width === 0) break;
+        }
+    }
+    
+    /**
+     * Render and measure one item
+     * Widths are fractional - offsetWidth rounds, and the error builds up into jitter
+     */
+    createItem(text, isPriority) {
+        const element = document.createElement('span');
+        element.className = isPriority ? 'ticker-facts ticker-priority' : 'ticker-facts';
+        element.textContent = text + TICKER_CONFIG.separator;
+        this.content.appendChild(element);
+        
+        const item = {
+            element,
+            width: element.getBoundingClientRect().width,
+            text,
+            factIndex: isPriority ? null : this.nextIndex,
+            isPriority
+        };
+        this.items.push(item);
+        
+        return item;
+    }
+    
+    /**
+     * Re-read item widths after a font or layout change
+     */
+    remeasure() {
+        this.items.forEach(item => { item.width = item.element.getBoundingClientRect().width; });
+        this.fill();
+    }
+    
+    /**
+     * Run the crawl
+     */
+    start() {
+        if (this.frameId) return;
+        
+        this.lastFrame = performance.now();
+        const frame = (now) => {
+            this.step(now);
+            this.frameId = requestAnimationFrame(frame);
+        };
+        this.frameId = requestAnimationFrame(frame);
+    }
+    
+    /**
+     * Move the crawl on by one frame
+     */
+    step(now) {
+        const dt = Math.min((now - this.lastFrame) / 1000, TICKER_CONFIG.maxFrameSeconds);
+        this.lastFrame = now;
+        
+        this.offset -= TICKER_CONFIG.speed * dt;
+        
+        // Retire items that have scrolled off the left edge
+        while (this.items.length > 0 && this.offset + this.items[0].width <= 0) {
+            const item = this.items.shift();
+            this.offset += item.width;
+            item.element.remove();
+        }
+        
+        this.fill();
+        this.content.style.transform = `translateX(${this.offset}px)`;
+    }
+    
+    /**
+     * Pause the crawl where it is
+     */
+    stop() {
+        if (this.frameId) {
+            cancelAnimationFrame(this.frameId);
+            this.frameId = null;
+        }
+    }
+}
+
+// Global instance
+const factsTicker = new FactsTicker();
@@ -0,0 +1,124 @@
+/**
+ * Time Keeper
+ * Wall-clock time in the party's home time zone, independent of what the
+ * laptop's system zone is set to. Uses Intl.DateTimeFormat for zone math.
+ */
+
+// Configuration
+const CLOCK_CONFIG = {
+    homeTimeZone: null,       // IANA zone, e.g. 'America/Los_Angeles'; null = browser's zone
+    worldClocks: [            // Secondary clocks under the main readout ([] to hide)
+        { label: 'LONDON', timeZone: 'Europe/London' },
+        { label: 'TOKYO', timeZone: 'Asia/Tokyo' },
+        { label: 'SYDNEY', timeZone: 'Australia/Sydney' }
+    ]
+};
+
+class TimeKeeper {
+    constructor() {
+        this.formatters = {};
+        
+        // A ?tz=<IANA zone> URL parameter overrides the config
+        const override = new URLSearchParams(window.location.search).get('tz');
+        this.homeTimeZone = this.validateZone(override || CLOCK_CONFIG.homeTimeZone)
+            || Intl.DateTimeFormat().resolvedOptions().timeZone;
+        
+        console.log(`🌐 Home time zone: ${this.homeTimeZone}`);
+    }
+    
+    /**
+     * Check a zone name, warning if the browser doesn't know it
+     * @returns {string|null} The zone, or null if missing/invalid
+     */
+    validateZone(timeZone) {
+        if (!timeZone) return null;
+        
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone });
+            return timeZone;
+        } catch (e) {
+            console.warn(`⚠️ Unknown time zone "${timeZone}", using browser default`);
+            return null;
+        }
+    }
+    
+    /**
+     * Cached numeric formatter for a zone
+     */
+    getFormatter(timeZone) {
+        if (!this.formatters[timeZone]) {
+            this.formatters[timeZone] = new Intl.DateTimeFormat('en-US', {
+                timeZone,
+                hourCycle: 'h23',
+                year: 'numeric',
+                month: 'numeric',
+                day: 'numeric',
+                hour: 'numeric',
+                minute: 'numeric',
+                second: 'numeric'
+            });
+        }
+        return this.formatters[timeZone];
+    }
+    
+    /**
+     * Break a moment into wall-clock fields in a zone
+     * @param {Date|number} date - Moment (defaults to now)
+     * @param {string} timeZone - IANA zone (defaults to home)
+     * @returns {{ year, month, day, hours, minutes, seconds }} month is 1-12
+     */
+    getParts(date = new Date(), timeZone = this.homeTimeZone) {
+        const parts = {};
+        for (const { type, value } of this.getFormatter(timeZone).formatToParts(date)) {
+            parts[type] = parseInt(value, 10);
+        }
+        
+        return {
+            year: parts.year,
+            month: parts.month,
+            day: parts.day,
+            hours: parts.hour,
+            minutes: parts.minute,
+            seconds: parts.second
+        };
+    }
+    
+    /**
+     * Offset of a zone from UTC at a given moment, in milliseconds
+     */
+    getOffset(date, timeZone = this.homeTimeZone) {
+        const time = typeof date === 'number' ? date : date.getTime();
+        const p = this.getParts(time, timeZone);
+        const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hours, p.minutes, p.seconds);
+        return asUtc - Math.floor(time / 1000) * 1000;
+    }
+    
+    /**
+     * Moment at which a zone's wall clock reads the given time
+     * @param {number} month - 1-12
+     * @returns {Date}
+     */
+    zonedTime(year, month, day, hours = 0, minutes = 0, seconds = 0, timeZone = this.homeTimeZone) {
+        const guess = Date.UTC(year, month - 1, day, hours, minutes, seconds);
+        
+        // Correct once for the offset, then again in case we crossed a DST change
+        let time = guess - this.getOffset(guess, timeZone);
+        time = guess - this.getOffset(time, timeZone);
+        
+        return new Date(time);
+    }
+    
+    /**
+     * Format a moment as HH:MM (or HH:MM:SS) in a zone
+     */
+    formatTime(date = new Date(), timeZone = this.homeTimeZone, withSeconds = false) {
+        const p = this.getParts(date, timeZone);
+        const pad = n => n.toString().padStart(2, '0');
+        return withSeconds
+            ? `${pad(p.hours)}:${pad(p.minutes)}:${pad(p.seconds)}`
+            : `${pad(p.hours)}:${pad(p.minutes)}`;
+    }
+}
+
+// Global instance
+const timeKeeper = new TimeKeeper();
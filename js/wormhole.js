@@ -6,21 +6,31 @@
 // Configuration
 const WORMHOLE_CONFIG = {
     showParticles: true,      // Enable/disable particle effects
-    particlesPerSecond: 30,   // Particle spawn rate (100 is heavy, 30 is smooth)
+    particlesPerSecond: 120,  // Base spark spawn rate
+    particleDensity: 1,       // Multiplier on the spawn rate (0.5 = half as many sparks)
+    particleQuality: 'auto',  // 'high' (glow + streaks, HiDPI), 'medium' (glow), 'low' (plain dots), 'auto' (steps down if frames run long)
+    maxParticles: 600         // Pool size - caps sparks on screen at once
 };
 
 class WormholeManager {
     constructor() {
         this.container = document.getElementById('wormhole-container');
         this.wormhole = document.getElementById('wormhole');
-        this.particlesContainer = document.getElementById('wormhole-particles');
+        this.particleCanvas = document.getElementById('wormhole-particles');
         this.destinationYear = document.getElementById('destination-year');
         this.audioWormhole = document.getElementById('audio-wormhole');
         this.audioArrival = document.getElementById('audio-arrival');
         
         this.isActive = false;
         this.rotationInterval = null;
-        this.particleInterval = null;
+        this.particleFrameId = null;
+        this.particleContext = null;
+        this.particlePool = [];
+        this.particleQuality = 'high';
+        this.particleScale = 1;
+        this.spawnDebt = 0;
+        this.lastParticleFrame = 0;
+        this.frameTimes = [];
         this.currentRotation = 0;
         this.targetYear = null;
         this.synthWormhole = null; // For synth audio controller
@@ -59,11 +69,21 @@ class WormholeManager {
         }
     }
     
+    /**
+     * Change the destination shown while in transit
+     * @param {string} yearDisplay - The new destination (e.g., "2026 CE")
+     */
+    setDestination(yearDisplay) {
+        this.targetYear = yearDisplay;
+        this.destinationYear.textContent = yearDisplay;
+    }
+    
     /**
      * Stop the wormhole and arrive at destination
+     * @param {Function} onFlash - Called at the peak of the arrival flash (screen fully white)
      * @returns {Promise} Resolves when arrival animation completes
      */
-    async stop() {
+    async stop(onFlash = null) {
         if (!this.isActive) return;
         
         // Stop effects
@@ -86,7 +106,7 @@ class WormholeManager {
         this.playArrivalSound();
         
         // Flash effect
-        await this.arrivalFlash();
+        await this.arrivalFlash(onFlash);
         
         // Hide wormhole
         this.container.classList.add('hidden');
@@ -101,6 +121,8 @@ class WormholeManager {
             statusText.textContent = 'TEMPORAL COORDINATES LOCKED';
         }
         
+        factsTicker.announce(`TEMPORAL COORDINATES LOCKED - WELCOME TO ${this.targetYear.toUpperCase()}`);
+        
         return this.targetYear;
     }
     
@@ -193,96 +215,204 @@ class WormholeManager {
     
     /**
      * Start particle effects - bright energy sparks flying OUTWARD from wormhole center
-     * Particles originate from the wiggling #wormhole-center element
+     * Drawn on a single canvas from a fixed pool; particles originate from the
+     * wiggling #wormhole-center element, sampled once per frame
      */
     startParticles() {
-        // Get reference to wormhole center (the element that wiggles)
+        if (!WORMHOLE_CONFIG.showParticles || !this.particleCanvas) return;
+        
+        if (!this.particleContext) this.initParticleCanvas();
+        this.resizeParticleCanvas();
+        
+        this.particlePool.forEach(p => { p.active = false; });
+        this.spawnDebt = 0;
+        this.lastParticleFrame = performance.now();
+        this.frameTimes = [];
+        this.particleQuality = WORMHOLE_CONFIG.particleQuality === 'auto' ? 'high' : WORMHOLE_CONFIG.particleQuality;
+        
+        const frame = (now) => {
+            this.updateParticles(now);
+            this.particleFrameId = requestAnimationFrame(frame);
+        };
+        this.particleFrameId = requestAnimationFrame(frame);
+    }
+    
+    /**
+     * Create the canvas context, particle pool and glow sprites
+     */
+    initParticleCanvas() {
+        this.particleContext = this.particleCanvas.getContext('2d');
+        
+        this.particlePool = Array.from({ length: WORMHOLE_CONFIG.maxParticles }, () => ({
+            active: false,
+            originX: 0,
+            originY: 0,
+            angle: 0,
+            startOffset: 0,
+            endDistance: 0,
+            age: 0,
+            duration: 0,
+            size: 0,
+            color: 0
+        }));
+        
+        // Cyan/white, pure white, purple tint (same mix as the old DOM sparks)
+        this.particleColors = ['200, 255, 255', '255, 255, 255', '255, 200, 255'];
+        this.particleSprites = this.particleColors.map(color => {
+            const sprite = document.createElement('canvas');
+            sprite.width = sprite.height = 32;
+            const ctx = sprite.getContext('2d');
+            const gradient = ctx.createRadialGradient(16, 16, 0, 16, 16, 16);
+            gradient.addColorStop(0, `rgba(${color}, 1)`);
+            gradient.addColorStop(0.25, `rgba(${color}, 0.8)`);
+            gradient.addColorStop(1, `rgba(${color}, 0)`);
+            ctx.fillStyle = gradient;
+            ctx.fillRect(0, 0, 32, 32);
+            return sprite;
+        });
+        
+        window.addEventListener('resize', () => {
+            if (this.isActive) this.resizeParticleCanvas();
+        });
+    }
+    
+    /**
+     * Match the canvas to the window (device pixels on high quality)
+     */
+    resizeParticleCanvas() {
+        const scale = this.particleQuality === 'high' ? Math.min(window.devicePixelRatio || 1, 2) : 1;
+        
+        this.particleScale = scale;
+        this.particleCanvas.width = Math.round(window.innerWidth * scale);
+        this.particleCanvas.height = Math.round(window.innerHeight * scale);
+    }
+    
+    /**
+     * Where particles are emitted from right now
+     */
+    getEmitterPosition() {
         const wormholeCenter = document.getElementById('wormhole-center');
+        if (!wormholeCenter) {
+            return { x: window.innerWidth / 2, y: window.innerHeight / 2 };
+        }
+        
+        const rect = wormholeCenter.getBoundingClientRect();
+        return { x: rect.left + rect.width / 2, y: rect.top + rect.height / 2 };
+    }
+    
+    /**
+     * Spawn, move and draw one frame of particles
+     * @param {number} now - rAF timestamp
+     */
+    updateParticles(now) {
+        const dt = Math.min(now - this.lastParticleFrame, 100); // Don't burst after a stall
+        this.lastParticleFrame = now;
+        this.adaptQuality(dt);
+        
+        // Spawn at the configured rate from the emitter's current position
+        const rate = WORMHOLE_CONFIG.particlesPerSecond * WORMHOLE_CONFIG.particleDensity;
+        this.spawnDebt += rate * dt / 1000;
         
-        const createParticle = () => {
-            const particle = document.createElement('div');
-            particle.className = 'wormhole-particle';
+        if (this.spawnDebt >= 1) {
+            const origin = this.getEmitterPosition();
+            const endDistance = Math.max(window.innerWidth, window.innerHeight) * 0.9;
             
-            // Get current position of wormhole center (accounts for wiggle animation)
-            let centerX, centerY;
-            if (wormholeCenter) {
-                const rect = wormholeCenter.getBoundingClientRect();
-                centerX = rect.left + rect.width / 2;
-                centerY = rect.top + rect.height / 2;
-            } else {
-                centerX = window.innerWidth / 2;
-                centerY = window.innerHeight / 2;
+            for (const p of this.particlePool) {
+                if (this.spawnDebt < 1) break;
+                if (p.active) continue;
+                
+                p.active = true;
+                p.originX = origin.x;
+                p.originY = origin.y;
+                p.angle = Math.random() * Math.PI * 2;
+                p.startOffset = 5 + Math.random() * 25; // Start 5-30px from center
+                p.endDistance = endDistance;
+                p.age = 0;
+                p.duration = 1000 + Math.random() * 800;
+                p.size = 1.5 + Math.random() * 2.5;
+                
+                const rand = Math.random();
+                p.color = rand < 0.5 ? 0 : rand < 0.8 ? 1 : 2;
+                
+                this.spawnDebt--;
             }
             
-            // Start very close to center for that "emerging from core" feel
-            const startOffset = 5 + Math.random() * 25; // Start 5-30px from center
-            const angle = Math.random() * Math.PI * 2;
-            const startX = centerX + Math.cos(angle) * startOffset;
-            const startY = centerY + Math.sin(angle) * startOffset;
-            
-            // Calculate end position (fly outward past screen edge)
-            const endDistance = Math.max(window.innerWidth, window.innerHeight) * 0.9;
-            const endX = centerX + Math.cos(angle) * endDistance;
-            const endY = centerY + Math.sin(angle) * endDistance;
+            // Pool exhausted - drop the rest rather than queueing them
+            this.spawnDebt = Math.min(this.spawnDebt, 1);
+        }
+        
+        const ctx = this.particleContext;
+        const scale = this.particleScale;
+        const quality = this.particleQuality;
+        
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        ctx.clearRect(0, 0, this.particleCanvas.width, this.particleCanvas.height);
+        ctx.setTransform(scale, 0, 0, scale, 0, 0);
+        ctx.globalCompositeOperation = quality === 'low' ? 'source-over' : 'lighter';
+        ctx.lineCap = 'round';
+        
+        for (const p of this.particlePool) {
+            if (!p.active) continue;
             
-            // Lightweight spark styling - small with single glow
-            const size = 1.5 + Math.random() * 2.5;
-            const rand = Math.random();
-            let color;
-            if (rand < 0.5) {
-                color = 'rgba(200, 255, 255, 1)'; // Cyan/white
-            } else if (rand < 0.8) {
-                color = 'rgba(255, 255, 255, 1)'; // Pure white
-            } else {
-                color = 'rgba(255, 200, 255, 1)'; // Purple tint
+            p.age += dt;
+            const t = p.age / p.duration;
+            if (t >= 1) {
+                p.active = false;
+                continue;
             }
             
-            particle.style.cssText = `
-                position: absolute;
-                width: ${size}px;
-                height: ${size}px;
-                background: ${color};
-                border-radius: 50%;
-                left: ${startX}px;
-                top: ${startY}px;
-                box-shadow: 0 0 4px ${color};
-                pointer-events: none;
-                z-index: 50;
-                will-change: transform, opacity;
-            `;
+            // Ease-in outward flight; fade in over the first 8%, then out
+            const distance = p.startOffset + (p.endDistance - p.startOffset) * t * t;
+            const opacity = t < 0.08 ? 0.2 + (t / 0.08) * 0.8 : 1 - (t - 0.08) / 0.92;
+            const size = p.size * (t < 0.08 ? 0.3 + (t / 0.08) * 0.7 : 1 + (t - 0.08) * 0.2);
+            const cos = Math.cos(p.angle);
+            const sin = Math.sin(p.angle);
+            const x = p.originX + cos * distance;
+            const y = p.originY + sin * distance;
             
-            this.particlesContainer.appendChild(particle);
+            ctx.globalAlpha = opacity;
             
-            // Animate outward - slower for that dreamy hyperspace feel (60% speed)
-            const duration = 1000 + Math.random() * 800;
-            particle.animate([
-                { 
-                    transform: 'translate(0, 0) scale(0.3)',
-                    opacity: 0.2
-                },
-                { 
-                    transform: 'translate(0, 0) scale(1)',
-                    opacity: 1,
-                    offset: 0.08
-                },
-                { 
-                    transform: `translate(${endX - startX}px, ${endY - startY}px) scale(1.2)`,
-                    opacity: 0
-                }
-            ], {
-                duration: duration,
-                easing: 'ease-in'
-            }).onfinish = () => {
-                particle.remove();
-            };
-        };
+            if (quality === 'low') {
+                ctx.fillStyle = `rgb(${this.particleColors[p.color]})`;
+                ctx.fillRect(x - size / 2, y - size / 2, size, size);
+                continue;
+            }
+            
+            // Speed streak toward the center on high quality
+            if (quality === 'high' && t > 0.2) {
+                const tail = distance * 0.08 * t;
+                ctx.strokeStyle = `rgba(${this.particleColors[p.color]}, 0.5)`;
+                ctx.lineWidth = size * 0.6;
+                ctx.beginPath();
+                ctx.moveTo(x - cos * tail, y - sin * tail);
+                ctx.lineTo(x, y);
+                ctx.stroke();
+            }
+            
+            const glow = size * 4;
+            ctx.drawImage(this.particleSprites[p.color], x - glow / 2, y - glow / 2, glow, glow);
+        }
+        
+        ctx.globalAlpha = 1;
+    }
+    
+    /**
+     * On 'auto' quality, step down if frames run long
+     * @param {number} dt - Last frame time in ms
+     */
+    adaptQuality(dt) {
+        if (WORMHOLE_CONFIG.particleQuality !== 'auto' || this.particleQuality === 'low') return;
+        
+        this.frameTimes.push(dt);
+        if (this.frameTimes.length < 60) return;
         
-        // Dense starfield - use config for spawn rate
-        if (WORMHOLE_CONFIG.showParticles) {
-            const interval = 1000 / WORMHOLE_CONFIG.particlesPerSecond;
-            this.particleInterval = setInterval(() => {
-                createParticle();
-            }, interval);
+        const average = this.frameTimes.reduce((sum, time) => sum + time, 0) / this.frameTimes.length;
+        this.frameTimes = [];
+        
+        if (average > 24) {
+            this.particleQuality = this.particleQuality === 'high' ? 'medium' : 'low';
+            this.resizeParticleCanvas();
+            console.log(`🌀 Particle quality lowered to ${this.particleQuality} (${average.toFixed(1)}ms frames)`);
         }
     }
     
@@ -290,17 +420,21 @@ class WormholeManager {
      * Stop particle effects
      */
     stopParticles() {
-        if (this.particleInterval) {
-            clearInterval(this.particleInterval);
-            this.particleInterval = null;
+        if (this.particleFrameId) {
+            cancelAnimationFrame(this.particleFrameId);
+            this.particleFrameId = null;
+        }
+        if (this.particleContext) {
+            this.particleContext.setTransform(1, 0, 0, 1, 0, 0);
+            this.particleContext.clearRect(0, 0, this.particleCanvas.width, this.particleCanvas.height);
         }
-        this.particlesContainer.innerHTML = '';
     }
     
     /**
      * Create arrival flash effect
+     * @param {Function} onPeak - Called when the flash is at full opacity
      */
-    arrivalFlash() {
+    arrivalFlash(onPeak = null) {
         return new Promise(resolve => {
             const flash = document.createElement('div');
             flash.style.cssText = `
@@ -316,6 +450,15 @@ class WormholeManager {
             `;
             document.body.appendChild(flash);
             
+            // Swap whatever should change behind the white-out (at the latest when it ends)
+            let peaked = !onPeak;
+            const peak = () => {
+                if (peaked) return;
+                peaked = true;
+                onPeak();
+            };
+            setTimeout(peak, 250);
+            
             // Flash animation
             flash.animate([
                 { opacity: 0 },
@@ -325,6 +468,7 @@ class WormholeManager {
                 duration: 500,
                 easing: 'ease-out'
             }).onfinish = () => {
+                peak();
                 flash.remove();
                 resolve();
             };
@@ -0,0 +1,539 @@
+#!/usr/bin/env node
+/**
+ * Time Machine Manifest Builder
+ * Scans the era folders in images/ and writes images/manifest.json.
+ * File types are sniffed from their contents rather than trusted from the
+ * extension, so .avif and extensionless files are picked up too. No
+ * dependencies:
+ *
+ *   node scripts/build-manifest.js           update the manifest
+ *   node scripts/build-manifest.js --check   report drift without writing (exits 1 if any)
+ *
+ * Each entry records the file's type, width, height and byte size, plus the
+ * duration of MP4, MOV and WebM videos. Hand-written fields (captions,
+ * credits, focus, weights...) are kept and entries keep their order; new
+ * files are added at the end of their era.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '..');
+const IMAGES_DIR = path.join(ROOT, 'images');
+const MANIFEST_PATH = path.join(IMAGES_DIR, 'manifest.json');
+
+const SKIP_FOLDERS = ['logos'];
+const MEASURED_FIELDS = ['type', 'width', 'height', 'bytes', 'duration'];
+const WEBM_SCAN_BYTES = 1024 * 1024;    // WebM headers (Info, Tracks) sit well inside this
+
+// Matroska/WebM element ids
+const EBML = {
+    SEGMENT: 0x18538067,
+    INFO: 0x1549a966,
+    TIMECODE_SCALE: 0x2ad7b1,
+    DURATION: 0x4489,
+    TRACKS: 0x1654ae6b,
+    TRACK_ENTRY: 0xae,
+    VIDEO: 0xe0,
+    PIXEL_WIDTH: 0xb0,
+    PIXEL_HEIGHT: 0xba,
+    CLUSTER: 0x1f43b675
+};
+
+/**
+ * Read part of a file
+ * @returns {Buffer} Up to `length` bytes (fewer at the end of the file)
+ */
+function readAt(fd, position, length) {
+    const buffer = Buffer.alloc(length);
+    const bytesRead = fs.readSync(fd, buffer, 0, length, position);
+    return buffer.subarray(0, bytesRead);
+}
+
+/**
+ * Work out a file's type from its first bytes
+ * @param {Buffer} head - Start of the file
+ * @returns {string|null} MIME type, or null if it isn't an image or video we can show
+ */
+function sniffType(head) {
+    const ascii = (start, end) => head.toString('latin1', start, end);
+    
+    if (head[0] === 0xff && head[1] === 0xd8 && head[2] === 0xff) return 'image/jpeg';
+    if (ascii(0, 8) === '\x89PNG\r\n\x1a\n') return 'image/png';
+    if (ascii(0, 6) === 'GIF87a' || ascii(0, 6) === 'GIF89a') return 'image/gif';
+    if (ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WEBP') return 'image/webp';
+    if (ascii(0, 4) === '\x1a\x45\xdf\xa3') return 'video/webm';
+    if (ascii(0, 4) === 'OggS') return 'video/ogg';
+    
+    // ISO media: AVIF, MP4 and QuickTime share a container, told apart by their brands
+    if (ascii(4, 8) === 'ftyp') {
+        const boxEnd = Math.min(head.readUInt32BE(0), head.length);
+        const brands = [ascii(8, 12)];
+        for (let offset = 16; offset + 4 <= boxEnd; offset += 4) {
+            brands.push(ascii(offset, offset + 4));
+        }
+        
+        if (brands.includes('avif') || brands.includes('avis')) return 'image/avif';
+        if (brands.includes('heic') || brands.includes('mif1')) return null; // HEIC - browsers can't show it
+        if (brands[0] === 'qt  ') return 'video/quicktime';
+        return 'video/mp4';
+    }
+    
+    return null;
+}
+
+/**
+ * Width and height of a JPEG, from its first start-of-frame marker
+ */
+function measureJpeg(fd) {
+    let position = 2;
+    
+    for (;;) {
+        const header = readAt(fd, position, 9);
+        if (header.length < 4 || header[0] !== 0xff) return {};
+        
+        const marker = header[1];
+        if (marker === 0xff) {
+            position++; // Fill byte
+            continue;
+        }
+        
+        const isFrame = marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker);
+        if (isFrame && header.length === 9) {
+            return { width: header.readUInt16BE(7), height: header.readUInt16BE(5) };
+        }
+        
+        position += 2 + header.readUInt16BE(2);
+    }
+}
+
+/**
+ * Width and height of a WebP (lossy, lossless or extended)
+ */
+function measureWebp(head) {
+    const chunk = head.toString('latin1', 12, 16);
+    
+    if (chunk === 'VP8 ' && head.length >= 30) {
+        return { width: head.readUInt16LE(26) & 0x3fff, height: head.readUInt16LE(28) & 0x3fff };
+    }
+    if (chunk === 'VP8L' && head.length >= 25) {
+        const bits = head.readUInt32LE(21);
+        return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+    }
+    if (chunk === 'VP8X' && head.length >= 30) {
+        return { width: head.readUIntLE(24, 3) + 1, height: head.readUIntLE(27, 3) + 1 };
+    }
+    return {};
+}
+
+/**
+ * List the ISO media boxes between two offsets
+ * @returns {Array<Object>} [{ type, start, end }] with start at the box's payload
+ */
+function listBoxes(fd, start, end) {
+    const boxes = [];
+    let position = start;
+    
+    while (position + 8 <= end) {
+        const header = readAt(fd, position, 16);
+        if (header.length < 8) break;
+        
+        const type = header.toString('latin1', 4, 8);
+        let size = header.readUInt32BE(0);
+        let headerSize = 8;
+        
+        if (size === 1 && header.length === 16) {
+            size = Number(header.readBigUInt64BE(8));
+            headerSize = 16;
+        } else if (size === 0) {
+            size = end - position; // Runs to the end of its parent
+        }
+        if (size < headerSize) break;
+        
+        boxes.push({ type, start: position + headerSize, end: Math.min(position + size, end) });
+        position += size;
+    }
+    
+    return boxes;
+}
+
+/**
+ * Follow a path of nested boxes, e.g. ['moov', 'mvhd']
+ * @returns {Object|null} The last box on the path
+ */
+function findBox(fd, parent, types) {
+    let box = parent;
+    for (const type of types) {
+        box = listBoxes(fd, box.start, box.end).find(child => child.type === type);
+        if (!box) return null;
+    }
+    return box;
+}
+
+/**
+ * Width and height of an AVIF, from its largest image spatial extent
+ */
+function measureAvif(fd, file) {
+    const meta = findBox(fd, file, ['meta']);
+    if (!meta) return {};
+    
+    // 'meta' is a full box: version and flags come before its children
+    const ipco = findBox(fd, { start: meta.start + 4, end: meta.end }, ['iprp', 'ipco']);
+    if (!ipco) return {};
+    
+    const sizes = listBoxes(fd, ipco.start, ipco.end)
+        .filter(box => box.type === 'ispe')
+        .map(box => readAt(fd, box.start + 4, 8))
+        .filter(data => data.length === 8)
+        .map(data => ({ width: data.readUInt32BE(0), height: data.readUInt32BE(4) }));
+    
+    return sizes.sort((a, b) => b.width * b.height - a.width * a.height)[0] || {};
+}
+
+/**
+ * Duration, width and height of an MP4 or QuickTime video
+ */
+function measureMp4(fd, file) {
+    const moov = findBox(fd, file, ['moov']);
+    if (!moov) return {};
+    
+    const result = {};
+    const mvhd = findBox(fd, moov, ['mvhd']);
+    if (mvhd) {
+        const data = readAt(fd, mvhd.start, 32);
+        const [timescale, duration] = data[0] === 1
+            ? [data.readUInt32BE(20), Number(data.readBigUInt64BE(24))]
+            : [data.readUInt32BE(12), data.readUInt32BE(16)];
+        if (timescale > 0) result.duration = Math.round(duration / timescale * 100) / 100;
+    }
+    
+    // Frame size comes from the first track that has one (the video track)
+    for (const trak of listBoxes(fd, moov.start, moov.end).filter(box => box.type === 'trak')) {
+        const tkhd = findBox(fd, trak, ['tkhd']);
+        if (!tkhd) continue;
+        
+        const offset = readAt(fd, tkhd.start, 1)[0] === 1 ? 88 : 76;
+        const data = readAt(fd, tkhd.start + offset, 8);
+        if (data.length < 8) continue;
+        
+        const width = Math.round(data.readUInt32BE(0) / 65536);
+        const height = Math.round(data.readUInt32BE(4) / 65536);
+        if (width > 0 && height > 0) {
+            result.width = width;
+            result.height = height;
+            break;
+        }
+    }
+    
+    return result;
+}
+
+/**
+ * Read an EBML variable-length number
+ * @param {boolean} isId - Ids keep their length marker bits, sizes don't
+ * @returns {Object|null} { value, length, unknown }
+ */
+function readVint(buffer, offset, isId) {
+    const first = buffer[offset];
+    if (!first) return null;
+    
+    let length = 1;
+    while (length <= 8 && !(first & (0x80 >> (length - 1)))) length++;
+    if (length > 8 || offset + length > buffer.length) return null;
+    
+    let value = isId ? first : first & (0xff >> length);
+    for (let i = 1; i < length; i++) {
+        value = value * 256 + buffer[offset + i];
+    }
+    
+    // A size of all ones means "unknown" (runs to the end of the parent)
+    return { value, length, unknown: !isId && value === Math.pow(2, 7 * length) - 1 };
+}
+
+/**
+ * Duration, width and height of a WebM video
+ */
+function measureWebm(fd) {
+    const buffer = readAt(fd, 0, WEBM_SCAN_BYTES);
+    const result = {};
+    let timecodeScale = 1000000;
+    let duration = null;
+    
+    const walk = (start, end) => {
+        let offset = start;
+        
+        while (offset < end) {
+            const id = readVint(buffer, offset, true);
+            const size = id && readVint(buffer, offset + id.length, false);
+            if (!size) return;
+            
+            const dataStart = offset + id.length + size.length;
+            const dataEnd = size.unknown ? end : Math.min(dataStart + size.value, end);
+            const readUint = () => (size.value >= 1 && size.value <= 6 ? buffer.readUIntBE(dataStart, size.value) : null);
+            
+            switch (id.value) {
+                case EBML.SEGMENT:
+                case EBML.INFO:
+                case EBML.TRACKS:
+                case EBML.TRACK_ENTRY:
+                case EBML.VIDEO:
+                    walk(dataStart, dataEnd);
+                    break;
+                case EBML.TIMECODE_SCALE:
+                    timecodeScale = readUint() || timecodeScale;
+                    break;
+                case EBML.DURATION:
+                    if (size.value === 4) duration = buffer.readFloatBE(dataStart);
+                    if (size.value === 8) duration = buffer.readDoubleBE(dataStart);
+                    break;
+                case EBML.PIXEL_WIDTH:
+                    result.width = result.width || readUint();
+                    break;
+                case EBML.PIXEL_HEIGHT:
+                    result.height = result.height || readUint();
+                    break;
+                case EBML.CLUSTER:
+                    return; // Media data - the headers are behind us
+            }
+            
+            offset = dataEnd;
+        }
+    };
+    walk(0, buffer.length);
+    
+    if (duration !== null) {
+        result.duration = Math.round(duration * timecodeScale / 1e7) / 100;
+    }
+    return result;
+}
+
+/**
+ * Sniff and measure one media file
+ * @returns {Object|null} { type, width, height, bytes, duration } (unknown fields left out), or null if unsupported
+ */
+function describeFile(filePath) {
+    const fd = fs.openSync(filePath, 'r');
+    
+    try {
+        const bytes = fs.fstatSync(fd).size;
+        const head = readAt(fd, 0, 64);
+        const type = sniffType(head);
+        if (!type) return null;
+        
+        const file = { start: 0, end: bytes };
+        let measured = {};
+        
+        try {
+            switch (type) {
+                case 'image/jpeg':
+                    measured = measureJpeg(fd);
+                    break;
+                case 'image/png':
+                    measured = { width: head.readUInt32BE(16), height: head.readUInt32BE(20) };
+                    break;
+                case 'image/gif':
+                    measured = { width: head.readUInt16LE(6), height: head.readUInt16LE(8) };
+                    break;
+                case 'image/webp':
+                    measured = measureWebp(head);
+                    break;
+                case 'image/avif':
+                    measured = measureAvif(fd, file);
+                    break;
+                case 'video/mp4':
+                case 'video/quicktime':
+                    measured = measureMp4(fd, file);
+                    break;
+                case 'video/webm':
+                    measured = measureWebm(fd);
+                    break;
+            }
+        } catch (e) {
+            console.warn(`⚠️ Couldn't measure ${path.relative(ROOT, filePath)}: ${e.message}`);
+        }
+        
+        // Fields in a fixed order, leaving out anything we couldn't measure
+        const values = { type, ...measured, bytes };
+        const description = {};
+        MEASURED_FIELDS
+            .filter(field => values[field] !== null && values[field] !== undefined)
+            .forEach(field => { description[field] = values[field]; });
+        return description;
+    } finally {
+        fs.closeSync(fd);
+    }
+}
+
+/**
+ * Sniff every file in an era folder
+ * @returns {Object} { files: [{ file, type, ... }], skipped: [filename] }
+ */
+function scanFolder(folder) {
+    const dir = path.join(IMAGES_DIR, folder);
+    const files = [];
+    const skipped = [];
+    
+    fs.readdirSync(dir, { withFileTypes: true })
+        .filter(entry => entry.isFile() && !entry.name.startsWith('.'))
+        .map(entry => entry.name)
+        .sort()
+        .forEach(name => {
+            const description = describeFile(path.join(dir, name));
+            if (description) {
+                files.push({ file: name, ...description });
+            } else {
+                skipped.push(name);
+            }
+        });
+    
+    return { files, skipped };
+}
+
+/**
+ * Build the new manifest, merging in the existing one
+ * @param {Object} existing - Current manifest (may be empty)
+ * @returns {Object} { manifest, changes: [line] }
+ */
+function buildManifest(existing) {
+    const manifest = {};
+    const changes = [];
+    
+    const folders = fs.readdirSync(IMAGES_DIR, { withFileTypes: true })
+        .filter(entry => entry.isDirectory() && !entry.name.startsWith('.') && !SKIP_FOLDERS.includes(entry.name))
+        .map(entry => entry.name)
+        .sort();
+    
+    for (const folder of folders) {
+        const { files, skipped } = scanFolder(folder);
+        const previousEntries = (existing[folder] || []).map(entry => (typeof entry === 'string' ? { file: entry } : entry));
+        
+        skipped
+            .filter(name => !previousEntries.some(entry => entry && entry.file === name))
+            .forEach(name => changes.push(`  ? ${folder}/${name} (not an image or video the browser can show - skipped)`));
+        
+        const found = new Map(files.map(file => [file.file, file]));
+        const listed = new Set();
+        const entries = [];
+        
+        // Existing entries keep their place and hand-written fields
+        for (const previous of previousEntries) {
+            if (!previous || listed.has(previous.file)) continue;
+            
+            const measured = found.get(previous.file);
+            if (!measured) {
+                const reason = skipped.includes(previous.file) ? 'not an image or video the browser can show' : 'file is gone';
+                changes.push(`  - ${folder}/${previous.file} (${reason})`);
+                continue;
+            }
+            listed.add(previous.file);
+            
+            const kept = { ...previous };
+            MEASURED_FIELDS.forEach(field => delete kept[field]);
+            const merged = { ...kept, ...measured };
+            
+            if (MEASURED_FIELDS.some(field => previous[field] !== merged[field])) {
+                changes.push(`  ~ ${folder}/${previous.file} (${describeChange(previous, merged)})`);
+            }
+            entries.push(merged);
+        }
+        
+        // New files go at the end of the era
+        for (const file of files.filter(file => !listed.has(file.file))) {
+            changes.push(`  + ${folder}/${file.file} (${summarize(file)})`);
+            entries.push(file);
+        }
+        
+        if (entries.length > 0) {
+            manifest[folder] = entries;
+        }
+    }
+    
+    Object.keys(existing)
+        .filter(folder => !manifest[folder])
+        .forEach(folder => changes.push(`  - ${folder}/ (no media folder)`));
+    
+    return { manifest, changes };
+}
+
+/**
+ * Short description of a file's measurements, e.g. "image/jpeg 1600×1000, 245 KB"
+ */
+function summarize(file) {
+    const parts = [file.type];
+    if (file.width && file.height) parts[0] += ` ${file.width}×${file.height}`;
+    if (file.duration !== undefined) parts.push(`${file.duration}s`);
+    parts.push(`${Math.round(file.bytes / 1024)} KB`);
+    return parts.join(', ');
+}
+
+/**
+ * Which measured fields differ, e.g. "width 800 → 1600"
+ */
+function describeChange(previous, merged) {
+    return MEASURED_FIELDS
+        .filter(field => previous[field] !== merged[field])
+        .map(field => (previous[field] === undefined
+            ? `${field} ${merged[field]}`
+            : `${field} ${previous[field]} → ${merged[field]}`))
+        .join(', ');
+}
+
+/**
+ * Manifest JSON as written to disk
+ */
+function serialize(manifest) {
+    return JSON.stringify(manifest, null, 4) + '\n';
+}
+
+/**
+ * Read the current manifest, if there is one
+ */
+function readManifest() {
+    if (!fs.existsSync(MANIFEST_PATH)) return {};
+    
+    try {
+        return JSON.parse(fs.readFileSync(MANIFEST_PATH, 'utf8'));
+    } catch (e) {
+        console.error(`❌ ${path.relative(ROOT, MANIFEST_PATH)} isn't valid JSON: ${e.message}`);
+        process.exit(2);
+    }
+}
+
+/**
+ * Build (or with --check, just compare) the manifest and report the changes
+ */
+function main() {
+    const checkOnly = process.argv.includes('--check');
+    const { manifest, changes } = buildManifest(readManifest());
+    const drift = changes.filter(line => !line.startsWith('  ?'));
+    const relativePath = path.relative(ROOT, MANIFEST_PATH);
+    
+    if (changes.length > 0) {
+        console.log(changes.join('\n'));
+    }
+    
+    if (checkOnly) {
+        if (drift.length > 0) {
+            console.log(`❌ ${relativePath} is out of date (${drift.length} change${drift.length === 1 ? '' : 's'}) - run node scripts/build-manifest.js`);
+            process.exit(1);
+        }
+        console.log(`✅ ${relativePath} is up to date`);
+    } else {
+        const text = serialize(manifest);
+        const current = fs.existsSync(MANIFEST_PATH) ? fs.readFileSync(MANIFEST_PATH, 'utf8') : '';
+        
+        if (text === current) {
+            console.log(`✅ ${relativePath} is up to date`);
+        } else {
+            fs.writeFileSync(MANIFEST_PATH, text);
+            console.log(`✅ Wrote ${relativePath} (${drift.length} change${drift.length === 1 ? '' : 's'})`);
+        }
+    }
+}
+
+// Preflight (scripts/preflight.js) reuses the file sniffing
+module.exports = { describeFile };
+
+if (require.main === module) {
+    main();
+}
@@ -0,0 +1,76 @@
+#!/usr/bin/env node
+/**
+ * Time Machine Preflight
+ * Runs the content checks from js/preflight.js against the disk and prints
+ * a pass/warn/fail report. No dependencies:
+ *
+ *   node scripts/preflight.js
+ *
+ * Unlike the in-app report (press P), this sniffs each file's real type and
+ * finds media and facts files that nothing lists. Exits 1 if any check fails.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { describeFile } = require('./build-manifest');
+
+const ROOT = path.resolve(__dirname, '..');
+
+// js/preflight.js is a browser script - run it here (after the era defaults it uses) to get its global instance
+const PREFLIGHT_SCRIPT = path.join(ROOT, 'js', 'preflight.js');
+const ERAS_SCRIPT = path.join(ROOT, 'js', 'eras.js');
+vm.runInThisContext(fs.readFileSync(ERAS_SCRIPT, 'utf8'), { filename: ERAS_SCRIPT });
+vm.runInThisContext(fs.readFileSync(PREFLIGHT_SCRIPT, 'utf8'), { filename: PREFLIGHT_SCRIPT });
+const preflight = vm.runInThisContext('preflight');
+
+/**
+ * Resolve a repo-relative path, refusing anything outside the repo
+ */
+function resolve(relativePath) {
+    const filePath = path.join(ROOT, relativePath);
+    return filePath.startsWith(ROOT + path.sep) ? filePath : null;
+}
+
+/**
+ * Read files straight from the disk
+ */
+const diskSource = {
+    async text(relativePath) {
+        const filePath = resolve(relativePath);
+        return filePath && fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf8') : null;
+    },
+    
+    async stat(relativePath) {
+        const filePath = resolve(relativePath);
+        if (!filePath || !fs.existsSync(filePath) || !fs.statSync(filePath).isFile()) return null;
+        
+        // Audio isn't sniffed - existing is enough
+        if (relativePath.startsWith('audio/')) {
+            return { bytes: fs.statSync(filePath).size, type: null, sniffed: false };
+        }
+        
+        const description = describeFile(filePath);
+        return description
+            ? { bytes: description.bytes, type: description.type, sniffed: true }
+            : { bytes: fs.statSync(filePath).size, type: null, sniffed: true };
+    },
+    
+    async list(relativePath) {
+        const dirPath = resolve(relativePath);
+        if (!dirPath || !fs.existsSync(dirPath)) return null;
+        
+        return fs.readdirSync(dirPath, { withFileTypes: true })
+            .filter(entry => entry.isFile() && !entry.name.startsWith('.'))
+            .map(entry => entry.name)
+            .sort();
+    }
+};
+
+preflight.run(diskSource).then(sections => {
+    console.log(preflight.formatText(sections));
+    process.exit(preflight.tally(sections).fail > 0 ? 1 : 0);
+}).catch(e => {
+    console.error(`❌ Preflight couldn't finish: ${e.message}`);
+    process.exit(1);
+});
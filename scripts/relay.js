@@ -0,0 +1,286 @@
+#!/usr/bin/env node
+/**
+ * Time Machine LAN Relay
+ * Serves the app and relays messages between the display and phone remotes
+ * over WebSocket. No dependencies, no cloud - run it on the party laptop:
+ *
+ *   node scripts/relay.js [--port 8787]
+ *
+ * Then open http://<laptop-ip>:8787/?relay on the projector and
+ * http://<laptop-ip>:8787/remote.html on a phone on the same network.
+ *
+ * Clients connect to /relay?role=display or /relay?role=remote.
+ * Messages from remotes go to every display and vice versa; the payloads
+ * use the same protocol as the operator console (see js/operator-link.js).
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const crypto = require('crypto');
+
+const ROOT = path.resolve(__dirname, '..');
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_FRAME_BYTES = 64 * 1024;   // Larger frames close the connection
+
+// What the app loads - nothing else in the repo (.git, scripts, notes) is served
+const PUBLIC_PATHS = [
+    'index.html', 'operator.html', 'remote.html', 'sw.js',
+    'eras.json', 'bulletins.json', 'itinerary.json',
+    'css/', 'js/', 'images/', 'facts/', 'audio/', 'fonts/'
+];
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.txt': 'text/plain; charset=utf-8',
+    '.md': 'text/plain; charset=utf-8',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.png': 'image/png',
+    '.gif': 'image/gif',
+    '.webp': 'image/webp',
+    '.avif': 'image/avif',
+    '.svg': 'image/svg+xml',
+    '.mp3': 'audio/mpeg',
+    '.mp4': 'video/mp4',
+    '.webm': 'video/webm',
+    '.mov': 'video/quicktime',
+    '.ogg': 'video/ogg'
+};
+
+const portArg = process.argv.indexOf('--port');
+const PORT = portArg !== -1 ? parseInt(process.argv[portArg + 1], 10) : 8787;
+
+const clients = new Set();
+
+/**
+ * Serve the app's static files (PUBLIC_PATHS)
+ */
+function serveStatic(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    let filePath;
+    try {
+        filePath = path.join(ROOT, decodeURIComponent(url.pathname));
+    } catch (e) {
+        res.writeHead(400);
+        res.end('Bad request');
+        return;
+    }
+    
+    if (fs.existsSync(filePath) && fs.statSync(filePath).isDirectory()) {
+        filePath = path.join(filePath, 'index.html');
+    }
+    
+    // Only the app's own files, and never hidden ones
+    const relativePath = path.relative(ROOT, filePath).split(path.sep).join('/');
+    const isPublic = PUBLIC_PATHS.some(allowed => allowed.endsWith('/')
+        ? relativePath.startsWith(allowed)
+        : relativePath === allowed);
+    if (!isPublic || relativePath.split('/').some(segment => segment.startsWith('.'))) {
+        res.writeHead(403);
+        res.end('Forbidden');
+        return;
+    }
+    
+    fs.readFile(filePath, (err, data) => {
+        if (err) {
+            res.writeHead(404);
+            res.end('Not found');
+            return;
+        }
+        const type = MIME_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream';
+        res.writeHead(200, { 'Content-Type': type });
+        res.end(data);
+    });
+}
+
+/**
+ * Encode a text frame (server frames are never masked)
+ */
+function encodeFrame(text, opcode = 0x1) {
+    const payload = Buffer.from(text);
+    let header;
+    
+    if (payload.length < 126) {
+        header = Buffer.from([0x80 | opcode, payload.length]);
+    } else if (payload.length < 65536) {
+        header = Buffer.alloc(4);
+        header[0] = 0x80 | opcode;
+        header[1] = 126;
+        header.writeUInt16BE(payload.length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[0] = 0x80 | opcode;
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(payload.length), 2);
+    }
+    
+    return Buffer.concat([header, payload]);
+}
+
+/**
+ * Pull complete frames off the front of a buffer
+ * tooLarge is set (and decoding stops) when a frame is over MAX_FRAME_BYTES
+ * @returns {{ frames: Array, rest: Buffer }}
+ */
+function decodeFrames(buffer) {
+    const frames = [];
+    let offset = 0;
+    
+    while (buffer.length - offset >= 2) {
+        const opcode = buffer[offset] & 0x0f;
+        const masked = (buffer[offset + 1] & 0x80) !== 0;
+        let length = buffer[offset + 1] & 0x7f;
+        let headerLength = 2;
+        
+        if (length === 126) {
+            if (buffer.length - offset < 4) break;
+            length = buffer.readUInt16BE(offset + 2);
+            headerLength = 4;
+        } else if (length === 127) {
+            if (buffer.length - offset < 10) break;
+            length = Number(buffer.readBigUInt64BE(offset + 2));
+            headerLength = 10;
+        }
+        
+        if (length > MAX_FRAME_BYTES) {
+            return { frames, rest: Buffer.alloc(0), tooLarge: true };
+        }
+        
+        const maskLength = masked ? 4 : 0;
+        if (buffer.length - offset < headerLength + maskLength + length) break;
+        
+        const mask = buffer.slice(offset + headerLength, offset + headerLength + maskLength);
+        const payload = Buffer.from(buffer.slice(offset + headerLength + maskLength, offset + headerLength + maskLength + length));
+        if (masked) {
+            for (let i = 0; i < payload.length; i++) {
+                payload[i] ^= mask[i % 4];
+            }
+        }
+        
+        frames.push({ opcode, payload });
+        offset += headerLength + maskLength + length;
+    }
+    
+    return { frames, rest: buffer.slice(offset) };
+}
+
+/**
+ * Send a message object to a client
+ */
+function send(client, message) {
+    if (!client.socket.destroyed) {
+        client.socket.write(encodeFrame(JSON.stringify(message)));
+    }
+}
+
+/**
+ * Forward a message to every client of the given role
+ */
+function broadcast(role, message) {
+    for (const client of clients) {
+        if (client.role === role) send(client, message);
+    }
+}
+
+/**
+ * Handle a decoded message from a client
+ */
+function onMessage(client, text) {
+    let message;
+    try {
+        message = JSON.parse(text);
+    } catch (e) {
+        console.warn(`⚠️ Ignoring malformed message from ${client.role}`);
+        return;
+    }
+    
+    broadcast(client.role === 'display' ? 'remote' : 'display', message);
+}
+
+/**
+ * Complete the WebSocket handshake and register the client
+ */
+function onUpgrade(req, socket) {
+    const url = new URL(req.url, 'http://localhost');
+    const key = req.headers['sec-websocket-key'];
+    
+    if (url.pathname !== '/relay' || !key) {
+        socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+        return;
+    }
+    
+    const accept = crypto.createHash('sha1').update(key + WS_GUID).digest('base64');
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${accept}`,
+        '', ''
+    ].join('\r\n'));
+    
+    const client = {
+        socket,
+        role: url.searchParams.get('role') === 'display' ? 'display' : 'remote',
+        buffer: Buffer.alloc(0)
+    };
+    clients.add(client);
+    console.log(`🔌 ${client.role} connected (${clients.size} total)`);
+    
+    // A new remote needs to know what's on screen
+    if (client.role === 'remote') {
+        broadcast('display', { type: 'hello' });
+    }
+    
+    socket.on('data', (chunk) => {
+        const { frames, rest, tooLarge } = decodeFrames(Buffer.concat([client.buffer, chunk]));
+        client.buffer = rest;
+        
+        for (const { opcode, payload } of frames) {
+            if (opcode === 0x1) {
+                onMessage(client, payload.toString('utf8'));
+            } else if (opcode === 0x8) {
+                socket.end(encodeFrame('', 0x8));
+            } else if (opcode === 0x9) {
+                socket.write(encodeFrame(payload.toString('utf8'), 0xA));
+            }
+        }
+        
+        if (tooLarge) {
+            console.warn(`⚠️ Closing ${client.role}: frame over ${MAX_FRAME_BYTES} bytes`);
+            socket.destroy();
+        }
+    });
+    
+    const remove = () => {
+        if (clients.delete(client)) {
+            console.log(`🔌 ${client.role} disconnected (${clients.size} total)`);
+        }
+    };
+    socket.on('close', remove);
+    socket.on('error', remove);
+}
+
+/**
+ * List this machine's LAN addresses for the startup banner
+ */
+function lanAddresses() {
+    return Object.values(os.networkInterfaces())
+        .flat()
+        .filter(iface => iface && iface.family === 'IPv4' && !iface.internal)
+        .map(iface => iface.address);
+}
+
+const server = http.createServer(serveStatic);
+server.on('upgrade', onUpgrade);
+server.listen(PORT, '0.0.0.0', () => {
+    console.log(`🛰️ Temporal relay listening on port ${PORT}`);
+    for (const address of lanAddresses()) {
+        console.log(`   Display: http://${address}:${PORT}/?relay`);
+        console.log(`   Remote:  http://${address}:${PORT}/remote.html`);
+    }
+});
@@ -0,0 +1,118 @@
+/**
+ * Temporal Cache Service Worker
+ * Answers the app's requests from the "temporal cache" so the show survives
+ * bad venue Wi-Fi. The page (js/temporal-cache.js) decides what goes into
+ * the cache; this worker serves it:
+ *   - pages, code and data (html, js, css, json, txt): network first, falling
+ *     back to the cache when offline or slower than NETWORK_TIMEOUT_MS
+ *   - media and fonts: cache first, then the network (cached for next time)
+ *   - video range requests are cut from the cached file
+ */
+
+const CACHE_NAME = 'temporal-cache-v1';      // Must match TEMPORAL_CACHE_CONFIG.cacheName
+const NETWORK_TIMEOUT_MS = 3000;
+const FONT_HOSTS = ['fonts.googleapis.com', 'fonts.gstatic.com'];
+const NETWORK_FIRST = /\.(html|js|css|json|txt)$/i;
+
+self.addEventListener('install', () => self.skipWaiting());
+
+self.addEventListener('activate', (event) => {
+    // Drop caches left by older versions of this worker
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key.startsWith('temporal-cache-') && key !== CACHE_NAME)
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    
+    // The page refreshing the cache goes straight to the network
+    if (request.method !== 'GET' || request.cache === 'reload') return;
+    
+    const url = new URL(request.url);
+    const isFont = FONT_HOSTS.includes(url.hostname);
+    if (url.origin !== self.location.origin && !isFont) return;
+    
+    if (request.headers.has('range')) {
+        event.respondWith(rangeFromCache(request));
+    } else if (request.mode === 'navigate' || (!isFont && NETWORK_FIRST.test(url.pathname))) {
+        event.respondWith(networkFirst(request));
+    } else {
+        event.respondWith(cacheFirst(request));
+    }
+});
+
+/**
+ * Fresh from the network if it answers in time, otherwise the cached copy
+ */
+async function networkFirst(request) {
+    const cache = await caches.open(CACHE_NAME);
+    const cached = () => cache.match(request, { ignoreSearch: request.mode === 'navigate' });
+    
+    const network = fetch(request).then(response => {
+        if (response.ok) cache.put(request, response.clone());
+        return response;
+    });
+    network.catch(() => {}); // Unhandled if the cache answers first
+    const slow = new Promise(resolve => setTimeout(resolve, NETWORK_TIMEOUT_MS));
+    
+    try {
+        const response = await Promise.race([network, slow]);
+        if (response) return response;
+        
+        // Network is dragging - use the cache if we can, else keep waiting
+        return (await cached()) || network;
+    } catch (e) {
+        const fallback = await cached();
+        if (fallback) return fallback;
+        throw e;
+    }
+}
+
+/**
+ * The cached copy, or fetch and keep it
+ */
+async function cacheFirst(request) {
+    const cache = await caches.open(CACHE_NAME);
+    const cached = await cache.match(request);
+    if (cached) return cached;
+    
+    const response = await fetch(request);
+    if (response.ok) cache.put(request, response.clone());
+    return response;
+}
+
+/**
+ * Answer a video's byte-range request from the cached file, or pass it on
+ */
+async function rangeFromCache(request) {
+    const cached = await caches.match(request.url);
+    const match = /^bytes=(\d*)-(\d*)$/.exec(request.headers.get('range'));
+    if (!cached || !match) return fetch(request);
+    
+    const blob = await cached.blob();
+    const size = blob.size;
+    let start = match[1] === '' ? size - Number(match[2]) : Number(match[1]);
+    let end = match[1] !== '' && match[2] !== '' ? Number(match[2]) : size - 1;
+    start = Math.max(0, start);
+    end = Math.min(end, size - 1);
+    
+    if (start > end) {
+        return new Response(null, { status: 416, headers: { 'Content-Range': `bytes */${size}` } });
+    }
+    
+    return new Response(blob.slice(start, end + 1), {
+        status: 206,
+        statusText: 'Partial Content',
+        headers: {
+            'Content-Type': cached.headers.get('Content-Type') || '',
+            'Content-Range': `bytes ${start}-${end}/${size}`,
+            'Content-Length': String(end - start + 1),
+            'Accept-Ranges': 'bytes'
+        }
+    });
+}